@@ -1,13 +1,86 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, Partials, AttachmentBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, Partials, AttachmentBuilder, PermissionFlagsBits } = require('discord.js');
 const { google } = require('googleapis');
 const express = require('express');
 const { createCanvas, loadImage } = require('canvas');
+const { createReadingStore, toRecord, sortNewestFirst } = require('./lib/storage');
+const { SettingsStore } = require('./lib/settingsStore');
+const { CardImageStore } = require('./lib/cardImages');
+const { RevealSessionStore, parseRevealCustomId, revealNext, revealAll, isComplete, buildRevealButtons } = require('./lib/reveal');
+const { RateLimiter } = require('./lib/rateLimiter');
+const { DEFAULT_PREFIX, getGuildConfig, stripPrefix, isChannelAllowed, hasAdminRole, applyConfigChange, formatConfig } = require('./lib/guildConfig');
+const { GroupSessionStore, joinSession, currentTurn, drawNext, skipTurn, remainingDraws, isFinished } = require('./lib/groupSessions');
+const { DEFAULT_THEMES_PATH, DEFAULT_THEME, HIRES_SCALE, loadThemesFromFile, registerThemeFonts, getTheme, themeFont, getThemeName } = require('./lib/themes');
+const { registerSlashCommands } = require('./lib/slashCommands');
+const { parseApiKeys, createApiRouter } = require('./lib/httpApi');
+const { EXPECTED_CARD_COUNT, validateDataSet, validateDeckPack, formatReloadReport } = require('./lib/dataValidation');
+const {
+  DEFAULT_PACK,
+  DEFAULT_DECKS_DIR,
+  createDefaultPack,
+  loadPacksFromDirectory,
+  parseDeckRows,
+  createSheetPack,
+  getPackName,
+  isSpreadCompatible,
+  applyPackRules
+} = require('./lib/deckPacks');
+const { hashUserId, isHashedUserId, isStorageDisabled, redactReading } = require('./lib/privacy');
+const { defaultVisibility, parseVisibility, getShareUrl, createShareRouter } = require('./lib/sharePage');
+const { splitMessage, replyToMessage, replyToInteraction } = require('./lib/replies');
+const { searchCards } = require('./lib/cardSearch');
+const { createReadingId, createSeed, createRng } = require('./lib/random');
+const { parseFlags } = require('./lib/args');
+const {
+  DEFAULT_OPTIONS,
+  parseOption,
+  parseOptionFlags,
+  resolveOptions,
+  filterDeck,
+  getReverseRate,
+  describeOptions,
+  formatOptions
+} = require('./lib/readingOptions');
+const { parseCardRows, getCardMeaning, localizeCard, createPlaceholderCard, isMajorArcana, UPRIGHT, REVERSED } = require('./lib/cardModel');
+const { buildSpreadRegistry, parseSpreadInfoRows, findSpread, localizeSpread, hasPositionEmojis } = require('./lib/spreadRegistry');
+const { SUPPORTED_LOCALES, DATA_LOCALE, DEFAULT_LOCALE, t, normalizeLocale, fromDiscordLocale, getDateLocale, describeLocales } = require('./lib/i18n');
+const {
+  parsePositions,
+  getCustomSpreads,
+  findCustomSpread,
+  getCustomSpreadEntry,
+  validateCustomSpread,
+  saveCustomSpread,
+  deleteCustomSpread,
+  MAX_SPREADS_PER_SCOPE
+} = require('./lib/customSpreads');
+const {
+  DEFAULT_TIMEZONE,
+  DAILY_SPREAD,
+  isValidTimeZone,
+  getLocalDateTime,
+  normalizeTime,
+  getDailySeed,
+  findDueSchedules
+} = require('./lib/dailyCard');
+const { parsePeriod, computeStats, formatStats } = require('./lib/stats');
+const { synthesizeReading } = require('./lib/synthesis');
+const { parseHistoryArgs, paginate, toCsv, toJson } = require('./lib/history');
+const { validateText, addNote, setOutcome, parseRemindDays, createReminder, findDueReminders, formatJournal, MAX_REMIND_DAYS } = require('./lib/journal');
+const { renderStatsChart } = require('./lib/statsChart');
+const { loadLayoutsFromFile, parseLayoutRows, computeSpreadGeometry, DEFAULT_LAYOUTS_PATH } = require('./lib/spreadLayouts');
+
+// 画像のテーマ（フォントはcanvasを使う前に登録する）
+const themes = loadThemesFromFile(process.env.THEMES_PATH || DEFAULT_THEMES_PATH);
+registerThemeFonts(themes);
 
 // Express server for health checks
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// 共有ページのリンクに使う公開URL（未設定なら返信にリンクを付けない）
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '') || null;
+
 app.get('/', (req, res) => {
   res.json({ 
     status: 'running', 
@@ -20,7 +93,8 @@ app.get('/health', (req, res) => {
   res.json({
     bot_status: client.isReady() ? 'ready' : 'not_ready',
     cards_loaded: tarotBot.cards.length,
-    spreads_loaded: Object.keys(tarotBot.spreads).length
+    spreads_loaded: Object.keys(tarotBot.spreads).length,
+    decks_loaded: tarotBot.packs.size
   });
 });
 
@@ -28,12 +102,18 @@ const server = app.listen(PORT, () => {
   console.log(`Health check server running on port ${PORT}`);
 });
 
+// !divine プレフィックスコマンドを使うか（falseにすると特権インテントMessageContentが不要になる）
+const ENABLE_PREFIX_COMMANDS = process.env.ENABLE_PREFIX_COMMANDS !== 'false';
+
+// サーバーのチャンネルに見える履歴では質問とメモを伏せるか（falseで伏せない）
+const REDACT_GUILD_HISTORY = process.env.REDACT_GUILD_HISTORY !== 'false';
+
 // Discord client setup
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent,
+    ...(ENABLE_PREFIX_COMMANDS ? [GatewayIntentBits.MessageContent] : []),
     GatewayIntentBits.DirectMessages,
     GatewayIntentBits.DirectMessageReactions,
   ],
@@ -43,290 +123,622 @@ const client = new Client({
   ],
 });
 
-// Google Sheets setup
-const auth = new google.auth.GoogleAuth({
-  credentials: {
-    client_email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-    private_key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-  },
-  scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-});
+// Google Sheets setup（認証情報がない場合はSheetsを使わずに動作）
+const hasGoogleCredentials = Boolean(
+  process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL && process.env.GOOGLE_PRIVATE_KEY
+);
+
+let sheets = null;
+if (hasGoogleCredentials) {
+  const auth = new google.auth.GoogleAuth({
+    credentials: {
+      client_email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+      private_key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+    },
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  });
+  sheets = google.sheets({ version: 'v4', auth });
+} else {
+  console.warn('Google credentials not set, Google Sheets features are disabled');
+}
 
-const sheets = google.sheets({ version: 'v4', auth });
 const SPREADSHEET_ID = process.env.SPREADSHEET_ID;
 
+// 占い結果の保存先（READING_STORE=sheets|file、未指定なら認証情報の有無で決定）
+const readingStore = createReadingStore({
+  backend: process.env.READING_STORE || (sheets ? 'sheets' : 'file'),
+  sheets,
+  spreadsheetId: SPREADSHEET_ID,
+  filePath: process.env.READING_STORE_PATH,
+});
+
+// サーバー・ユーザーごとの設定（カスタムスプレッドなど）
+const settingsStore = new SettingsStore({ filePath: process.env.SETTINGS_PATH });
+
+// 1枚ずつめくる占いの状態（メモリ上、一定時間で破棄）
+const revealSessions = new RevealSessionStore();
+
+// 占いの回数制限（ユーザーごと・サーバーごと、上限はサーバー設定）
+const rateLimiter = new RateLimiter();
+
+// チャンネルごとのグループ占い（一定時間操作がなければチャンネルに通知して終了）
+const groupSessions = new GroupSessionStore({
+  onTimeout: session => {
+    client.channels.fetch(session.channelId)
+      .then(channel => channel.send(`⌛ ${t(session.locale, 'session.timedOut')}`))
+      .catch(error => console.error(`Error notifying session timeout in ${session.channelId}:`, error));
+  }
+});
+
+// カード画像（ローカルのディレクトリ、なければDriveなどから取得してディスクにキャッシュ）
+const imageCacheOptions = {
+  ...(process.env.CARD_IMAGE_CACHE_DIR ? { cacheDir: process.env.CARD_IMAGE_CACHE_DIR } : {}),
+  ...(process.env.CARD_IMAGE_CACHE_MAX_MB ? { cacheMaxBytes: Number(process.env.CARD_IMAGE_CACHE_MAX_MB) * 1024 * 1024 } : {}),
+};
+const cardImageStore = new CardImageStore({
+  ...(process.env.CARD_IMAGES_DIR ? { directories: process.env.CARD_IMAGES_DIR.split(',').map(dir => dir.trim()) } : {}),
+  ...imageCacheOptions,
+});
+
+// デッキパックのカード画像（パックの images ディレクトリ、リモート画像のキャッシュ先は共通）
+const DECKS_DIR = process.env.DECKS_DIR || DEFAULT_DECKS_DIR;
+const createPackImageStore = pack => new CardImageStore({ directories: [pack.imageDir], ...imageCacheOptions });
+
 // Tarot card class
 class TarotBot {
-  constructor() {
-    this.cards = [];
+  constructor({ readingStore, settingsStore, cardImageStore, createPackImageStore, themes, shareBaseUrl = null, userIdSalt = null }) {
+    this.cards = []; // 既定のパック（Cardsシート）のカード
+    this.packs = new Map(); // キー → デッキパック（既定のパックが先頭）
     this.spreads = {};
-    this.cardImages = new Map();
+    this.spreadLayouts = {};
+    this.readingStore = readingStore;
+    this.settingsStore = settingsStore;
+    this.cardImageStore = cardImageStore;
+    this.createPackImageStore = createPackImageStore;
+    this.packImageStores = new Map();
+    this.themes = themes;
+    this.shareBaseUrl = shareBaseUrl;
+    this.userIdSalt = userIdSalt;
+    this.cardBacks = new Map();
+    this.reloading = null;
+    this.dataLoadedAt = null;
+    this.dataWarnings = 0;
+  }
+
+  // Google Sheetsからカードデータを取得（parseCardRowsの結果、読めなければ例外）
+  async fetchCards() {
+    if (!sheets) {
+      throw new Error('Google Sheets is not configured');
+    }
+
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: 'Cards!A:M', // F〜M列: 逆位置の意味・キーワード・スート・数・エレメント・英語名・英語の意味
+    });
+
+    const rows = response.data.values || [];
+    return parseCardRows(rows.slice(1));
+  }
+
+  // デッキパックのIDからカードを取得
+  getCard(id, packKey = DEFAULT_PACK) {
+    const pack = this.getPack(packKey);
+    return (pack && pack.cardsById.get(id)) || null;
+  }
+
+  // デッキパックを取得（Cardsシートのカードは "tarot"）
+  getPack(key = DEFAULT_PACK) {
+    return this.packs.get(key) || null;
+  }
+
+  getPacks() {
+    return [...this.packs.values()];
+  }
+
+  // デッキパックの表示名（読み込まれていなければキーをそのまま表示）
+  getPackName(key, locale = DEFAULT_LOCALE) {
+    const pack = this.getPack(key);
+    return pack ? getPackName(pack, locale) : key;
   }
 
-  // Google Sheetsからカードデータを取得
-  async loadCards() {
+  // 追加のデッキパックを取得（config/decks のディレクトリ、Decksシートの順、同じキーはシートを優先）
+  // 読めなかったパックは errors に入れて、ほかのパックは使う
+  async fetchDeckPacks() {
+    const { packs, errors } = loadPacksFromDirectory(DECKS_DIR);
+    if (!sheets) {
+      return { packs, errors };
+    }
+
+    let rows;
     try {
       const response = await sheets.spreadsheets.values.get({
         spreadsheetId: SPREADSHEET_ID,
-        range: 'Cards!A:E', // E列に画像IDを追加
+        range: 'Decks!A:H',
       });
-      
-      const rows = response.data.values;
-      if (rows && rows.length > 1) {
-        this.cards = rows.slice(1).map(row => ({
-          id: parseInt(row[0]),
-          name: row[1],
-          type: row[2],
-          meaning: row[3] || 'カードの意味',
-          imageId: row[4] || null // Google DriveのファイルID
-        }));
-        console.log(`Loaded ${this.cards.length} cards with meanings and images`);
-        return true;
-      }
-      return false;
+      rows = response.data.values || [];
     } catch (error) {
-      console.error('Error loading cards:', error);
-      return false;
+      // Decksシートは任意
+      console.log('Decks sheet not available, using deck directories only');
+      return { packs, errors };
+    }
+
+    const { entries, errors: rowErrors } = parseDeckRows(rows.slice(1));
+    errors.push(...rowErrors);
+    for (const entry of entries) {
+      try {
+        const response = await sheets.spreadsheets.values.get({
+          spreadsheetId: SPREADSHEET_ID,
+          range: `'${entry.sheetName.replace(/'/g, "''")}'!A:M`,
+        });
+        const pack = createSheetPack(entry, parseCardRows((response.data.values || []).slice(1)), DECKS_DIR);
+        const index = packs.findIndex(existing => existing.key === pack.key);
+        if (index >= 0) {
+          packs[index] = pack;
+        } else {
+          packs.push(pack);
+        }
+      } catch (error) {
+        errors.push(`[${entry.key}] failed to read sheet "${entry.sheetName}": ${error.message}`);
+      }
+    }
+    return { packs, errors };
+  }
+
+  // スプレッドデータを取得（読めなければ例外）
+  async fetchSpreads() {
+    if (!sheets) {
+      throw new Error('Google Sheets is not configured');
+    }
+
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: 'Spreads!A:K',
+    });
+
+    const rows = response.data.values || [];
+    const info = await this.loadSpreadInfo('SpreadInfo');
+    const translations = {};
+    for (const locale of SUPPORTED_LOCALES.filter(locale => locale !== DATA_LOCALE)) {
+      translations[locale] = await this.loadSpreadInfo(`SpreadInfo_${locale}`);
     }
+    return buildSpreadRegistry(rows.slice(1), info, translations);
   }
 
-  // スプレッドデータを取得
-  async loadSpreads() {
+  // スプレッドの表示名・説明などを取得（SpreadInfoシートは任意、なければ既定値）
+  // SpreadInfo_en などの翻訳用シートも同じ形式（G列に位置名）
+  async loadSpreadInfo(sheetName) {
     try {
       const response = await sheets.spreadsheets.values.get({
         spreadsheetId: SPREADSHEET_ID,
-        range: 'Spreads!A:K',
+        range: `${sheetName}!A:G`,
       });
-      
+
       const rows = response.data.values;
-      if (rows && rows.length > 1) {
-        rows.slice(1).forEach(row => {
-          const spreadName = row[0];
-          const positions = row.slice(1).filter(pos => pos && pos.trim() !== '');
-          this.spreads[spreadName] = positions;
+      return rows && rows.length > 1 ? parseSpreadInfoRows(rows.slice(1)) : {};
+    } catch (error) {
+      console.log(`${sheetName} sheet not available, using default spread info`);
+      return {};
+    }
+  }
+
+  // スプレッドの登録情報を取得
+  // context（guildId・userId）を渡すと、そのサーバー・ユーザーのカスタムスプレッドも探す
+  getSpread(spreadName, context = {}) {
+    const spread = findSpread(this.spreads, spreadName);
+    if (spread) {
+      return spread;
+    }
+    if (spreadName === DAILY_SPREAD.key) {
+      return DAILY_SPREAD;
+    }
+    if (!context.guildId && !context.userId) {
+      return null;
+    }
+    return getCustomSpreadEntry(this.settingsStore, context, spreadName);
+  }
+
+  // 組み込みとカスタムを合わせたスプレッド一覧（context.localeの言語で表示）
+  getAvailableSpreads(context = {}) {
+    const custom = Object.keys(getCustomSpreads(this.settingsStore, context))
+      .filter(key => !findSpread(this.spreads, key))
+      .map(key => getCustomSpreadEntry(this.settingsStore, context, key));
+    return [...Object.values(this.spreads), ...custom].map(spread => localizeSpread(spread, context.locale));
+  }
+
+  // スプレッドの表示名（登録されていなければキーをそのまま表示）
+  getSpreadName(spreadName, context = {}) {
+    const spread = localizeSpread(this.getSpread(spreadName, context), context.locale);
+    return spread ? spread.name : spreadName;
+  }
+
+  // 履歴などで使う短い表示名
+  getSpreadShortName(spreadName, context = {}) {
+    const spread = localizeSpread(this.getSpread(spreadName, context), context.locale);
+    return spread ? spread.shortName : spreadName;
+  }
+
+  // 表示言語での位置名（翻訳がなければ保存されている位置名）
+  getPositionNames(reading, locale = DEFAULT_LOCALE) {
+    const spread = locale === DATA_LOCALE ? null : localizeSpread(this.getSpread(reading.spread, reading), locale);
+    const translated = spread && spread.positions.length === reading.results.length;
+    return reading.results.map((result, index) => (translated ? spread.positions[index].name : result.position));
+  }
+
+  // スプレッドのカード配置を取得（JSONファイル、SpreadLayoutsシートの順に上書き）
+  async fetchSpreadLayouts() {
+    const layouts = loadLayoutsFromFile(process.env.SPREAD_LAYOUTS_PATH || DEFAULT_LAYOUTS_PATH);
+
+    if (sheets) {
+      try {
+        const response = await sheets.spreadsheets.values.get({
+          spreadsheetId: SPREADSHEET_ID,
+          range: 'SpreadLayouts!A:F',
         });
-        console.log(`Loaded spreads:`, Object.keys(this.spreads));
-        return true;
+
+        const rows = response.data.values;
+        if (rows && rows.length > 1) {
+          Object.assign(layouts, parseLayoutRows(rows.slice(1)));
+        }
+      } catch (error) {
+        // SpreadLayoutsシートは任意
+        console.log('SpreadLayouts sheet not available, using JSON layouts only');
       }
-      return false;
+    }
+
+    return layouts;
+  }
+
+  // カード・スプレッド・配置・デッキパックを読み込み直す（起動時・管理者コマンド・HTTP APIから）
+  // 全部読んで検証してから入れ替え、エラーがあれば前のデータを使い続ける
+  // 起動時は前のデータがないため、カードとスプレッドが読めればエラーがあっても使う
+  // デッキパックのエラーはそのパックだけ読み込まず、ほかのデータは入れ替える
+  // 同時に呼ばれた場合は実行中の読み込みの結果を返す
+  reloadData() {
+    if (!this.reloading) {
+      this.reloading = this.loadDataSet().finally(() => {
+        this.reloading = null;
+      });
+    }
+    return this.reloading;
+  }
+
+  async loadDataSet() {
+    let data;
+    try {
+      const [{ cards, errors, warnings }, spreads, layouts, deckPacks] = await Promise.all([
+        this.fetchCards(),
+        this.fetchSpreads(),
+        this.fetchSpreadLayouts(),
+        this.fetchDeckPacks()
+      ]);
+      data = { cards, spreads, layouts, packs: deckPacks.packs, packErrors: deckPacks.errors, cardErrors: errors, cardWarnings: warnings };
     } catch (error) {
-      console.error('Error loading spreads:', error);
-      return false;
+      console.error('Error loading card data:', error);
+      return this.createReloadReport(false, [`failed to read data: ${error.message}`], [], []);
     }
+
+    const { errors, warnings } = await validateDataSet(data, {
+      findLocalFile: card => this.cardImageStore.findLocalFile(card)
+    });
+    // エラーのあるデッキパックは使わずに報告する（読めなかったパックは data.packErrors）
+    const deckErrors = [...data.packErrors];
+    const validPacks = [];
+    const packImageStores = new Map();
+    for (const pack of data.packs) {
+      const imageStore = this.createPackImageStore(pack);
+      const result = await validateDeckPack(pack, data.spreads, { findLocalFile: card => imageStore.findLocalFile(card) });
+      warnings.push(...result.warnings);
+      if (result.errors.length > 0) {
+        deckErrors.push(...result.errors);
+      } else {
+        validPacks.push(pack);
+        packImageStores.set(pack.key, imageStore);
+      }
+    }
+    warnings.forEach(warning => console.warn(`Card data warning: ${warning}`));
+    deckErrors.forEach(error => console.error(`Deck pack error: ${error}`));
+    errors.forEach(error => console.error(`Card data error: ${error}`));
+
+    const firstLoad = this.dataLoadedAt === null;
+    const usable = data.cards.length > 0 && Object.keys(data.spreads).length > 0;
+    if (errors.length > 0 && !(firstLoad && usable)) {
+      return this.createReloadReport(false, errors, warnings, deckErrors);
+    }
+
+    // 参照を一度に差し替える（読み込み中の占いは前のデータのまま）
+    const defaultPack = createDefaultPack({ cards: data.cards, errors: [], warnings: [] }, EXPECTED_CARD_COUNT);
+    const packs = [defaultPack, ...validPacks];
+    this.packs = new Map(packs.map(pack => [pack.key, pack]));
+    this.cards = defaultPack.cards;
+    this.spreads = data.spreads;
+    this.spreadLayouts = data.layouts;
+    this.cardImageStore.clear();
+    this.packImageStores = packImageStores;
+    this.dataLoadedAt = new Date();
+    this.dataWarnings = errors.length + deckErrors.length + warnings.length;
+    console.log(`Loaded ${this.cards.length} cards and spreads:`, Object.keys(this.spreads));
+    if (packs.length > 1) {
+      console.log('Loaded deck packs:', packs.map(pack => `${pack.key} (${pack.cards.length})`));
+    }
+    return this.createReloadReport(true, errors, warnings, deckErrors);
   }
 
-  // Google DriveのファイルIDから公開URLを生成
-  getGoogleDriveImageUrl(fileId) {
-    return `https://drive.google.com/uc?id=${fileId}&export=download`;
+  // deckErrors は読み込まなかったデッキパックのエラー（全体の入れ替えは止めない）
+  createReloadReport(applied, errors, warnings, deckErrors) {
+    return { applied, cards: this.cards.length, spreads: Object.keys(this.spreads).length, decks: this.packs.size, errors, deckErrors, warnings };
+  }
+
+  // 画像のテーマ（指定がなければサーバーの設定、それもなければ DEFAULT_THEME）
+  getTheme({ guildId } = {}, themeKey = null) {
+    const guildTheme = guildId ? this.settingsStore.getGuild(guildId).theme : null;
+    return getTheme(this.themes, themeKey || guildTheme || process.env.DEFAULT_THEME || DEFAULT_THEME);
   }
 
   // プレースホルダーカード画像を作成
-  createPlaceholderCard(card) {
+  createPlaceholderCard(card, theme = this.getTheme()) {
     const canvas = createCanvas(150, 250);
     const ctx = canvas.getContext('2d');
+    const colors = theme.placeholder;
 
     // 背景
-    ctx.fillStyle = '#2C3E50';
+    ctx.fillStyle = colors.background;
     ctx.fillRect(0, 0, 150, 250);
 
     // 枠線
-    ctx.strokeStyle = '#ECF0F1';
+    ctx.strokeStyle = colors.border;
     ctx.lineWidth = 2;
     ctx.strokeRect(5, 5, 140, 240);
 
-    // カード名（日本語フォント使用）
-    ctx.fillStyle = '#ECF0F1';
-    ctx.font = 'bold 12px Japanese, Arial, sans-serif';
+    // カード名
+    ctx.fillStyle = colors.text;
+    ctx.font = themeFont(theme, 12, true);
     ctx.textAlign = 'center';
     
     // カード名を描画
     ctx.fillText(card.name, 75, 125);
     
     // タイプを表示
-    ctx.font = '10px Japanese, Arial, sans-serif';
+    ctx.font = themeFont(theme, 10);
     ctx.fillText(card.type, 75, 230);
 
     return canvas;
   }
 
-  // カード画像を読み込み（キャッシュ付き）
-  async loadCardImage(card) {
-    if (this.cardImages.has(card.id)) {
-      return this.cardImages.get(card.id);
+  // テーマのカードの裏面（画像の指定がなければ模様を描く）
+  async getCardBack(theme) {
+    if (this.cardBacks.has(theme.key)) {
+      return this.cardBacks.get(theme.key);
     }
 
-    try {
-      let image;
-      
-      if (card.imageId && card.imageId.trim() !== '') {
-        console.log(`Loading image for card ${card.name} with ID: ${card.imageId}`);
-        
-        const imageUrl = this.getGoogleDriveImageUrl(card.imageId);
-        console.log(`Google Drive URL: ${imageUrl}`);
-        
-        // タイムアウト付きで画像読み込み
-        image = await Promise.race([
-          loadImage(imageUrl),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Image load timeout')), 8000)
-          )
-        ]);
-        
-        console.log(`Successfully loaded image for ${card.name}: ${image.width}x${image.height}`);
-      } else {
-        console.log(`No image ID for card ${card.name}, creating placeholder`);
-        image = this.createPlaceholderCard(card);
+    let back = null;
+    if (theme.cardBack.image) {
+      try {
+        back = await loadImage(theme.cardBack.image);
+      } catch (error) {
+        console.error(`Error loading card back for theme ${theme.key}:`, error.message);
       }
+    }
+    back = back || this.createCardBack(theme);
+    this.cardBacks.set(theme.key, back);
+    return back;
+  }
+
+  createCardBack(theme) {
+    const canvas = createCanvas(150, 250);
+    const ctx = canvas.getContext('2d');
+    const { background, pattern } = theme.cardBack;
+
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, 150, 250);
+
+    // 二重の枠
+    ctx.strokeStyle = pattern;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(6, 6, 138, 238);
+    ctx.lineWidth = 1;
+    ctx.strokeRect(12, 12, 126, 226);
+
+    // 中央のひし形と星
+    ctx.beginPath();
+    ctx.moveTo(75, 60);
+    ctx.lineTo(120, 125);
+    ctx.lineTo(75, 190);
+    ctx.lineTo(30, 125);
+    ctx.closePath();
+    ctx.stroke();
+
+    ctx.fillStyle = pattern;
+    ctx.font = themeFont(theme, 36);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('✦', 75, 125);
+
+    return canvas;
+  }
+
+  // テーマの枠線（中心が (0, 0) のカードの周り）
+  drawCardFrame(ctx, theme, width, height) {
+    if (!theme.frame.color || theme.frame.width <= 0) {
+      return;
+    }
+    ctx.strokeStyle = theme.frame.color;
+    ctx.lineWidth = theme.frame.width;
+    ctx.strokeRect(-width / 2, -height / 2, width, height);
+  }
+
+  // カードのデッキパックの画像の読み込み先（既定のパックは CARD_IMAGES_DIR など）
+  getImageStore(packKey) {
+    return this.packImageStores.get(packKey) || this.cardImageStore;
+  }
 
-      this.cardImages.set(card.id, image);
-      return image;
+  // カード画像を読み込み（画像がない・読み込めない場合はプレースホルダー）
+  async loadCardImage(card, theme = this.getTheme()) {
+    try {
+      const image = await this.getImageStore(card.pack).get(card);
+      if (image) {
+        return image;
+      }
+      console.log(`No image for card ${card.name}, creating placeholder`);
     } catch (error) {
       console.error(`Error loading image for card ${card.name}:`, error.message);
-      const placeholder = this.createPlaceholderCard(card);
-      this.cardImages.set(card.id, placeholder);
-      return placeholder;
+    }
+    return this.createPlaceholderCard(card, theme);
+  }
+
+  // 全パックのカードの画像を先に読み込む（PRELOAD_CARD_IMAGES=true のとき起動時に実行）
+  async preloadCardImages() {
+    const startedAt = Date.now();
+    let loaded = 0;
+    let total = 0;
+    for (const pack of this.getPacks()) {
+      loaded += await this.getImageStore(pack.key).preload(pack.cards);
+      total += pack.cards.length;
+    }
+    console.log(`Preloaded ${loaded}/${total} card images in ${Date.now() - startedAt}ms`);
+  }
+
+  // カード1枚の画像を生成（カード検索・今日のカード用、逆位置なら180度回転）
+  async generateCardImage(card, theme = this.getTheme()) {
+    try {
+      const CARD_WIDTH = 240;
+      const CARD_HEIGHT = 400;
+      const cardImage = await this.loadCardImage(card, theme);
+
+      const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT);
+      const ctx = canvas.getContext('2d');
+      ctx.translate(CARD_WIDTH / 2, CARD_HEIGHT / 2);
+      if (card.position === REVERSED) {
+        ctx.rotate(Math.PI);
+      }
+      ctx.drawImage(cardImage, -CARD_WIDTH / 2, -CARD_HEIGHT / 2, CARD_WIDTH, CARD_HEIGHT);
+      this.drawCardFrame(ctx, theme, CARD_WIDTH, CARD_HEIGHT);
+      return canvas.toBuffer('image/png');
+    } catch (error) {
+      console.error(`Card image generation failed for ${card.name}:`, error);
+      return null;
     }
   }
 
-  // スプレッド画像を生成（5列×2行のシンプル配置）
-  async generateSpreadImage(reading) {
+  // スプレッド画像を生成（スプレッドごとの配置、配置がなければ5列のグリッド）
+  // scale を指定すると同じ配置のまま解像度を上げる（共有用）
+  // revealed（位置ごとの true/false）を渡すと、false の位置は裏向きで描く
+  // annotations（位置ごとの文字列）はカード名の下に添える（グループ占いで引いた人など）
+  async generateSpreadImage(reading, locale = DEFAULT_LOCALE, { theme = this.getTheme(reading), scale = 1, revealed = null, annotations = null } = {}) {
     console.log(`=== NEW CANVAS TEST: Generating spread image for: ${reading.spread} ===`);
     
     try {
       const cardCount = reading.results.length;
       console.log(`Card count: ${cardCount}`);
       
-      // 固定値で設定
-      const CARD_WIDTH = 120;
-      const CARD_HEIGHT = 200;
-      const CARD_SPACING_X = 140;
-      const CARD_SPACING_Y = 280; // カード間の縦間隔
-      const MARGIN_X = 70;
-      const TOP_MARGIN = 300; // 上部マージン（タイトルスペース）
-      const BOTTOM_MARGIN = 60; // 下部マージン（ラベルスペース）
-      
-      // 配置計算（最大5列）
-      const maxCols = Math.min(cardCount, 5);
-      const rows = Math.ceil(cardCount / 5);
-      
-      const canvasWidth = MARGIN_X * 2 + (maxCols * CARD_SPACING_X);
-      
-      // 高さを実際に必要な分だけに調整
-      const cardsAreaHeight = (rows - 1) * CARD_SPACING_Y + CARD_HEIGHT; // カード部分の実際の高さ
-      const canvasHeight = TOP_MARGIN + cardsAreaHeight + BOTTOM_MARGIN; // 必要最小限の高さ
+      const geometry = computeSpreadGeometry(this.spreadLayouts[reading.spread], cardCount);
+      const { width: canvasWidth, height: canvasHeight, cardWidth: CARD_WIDTH, cardHeight: CARD_HEIGHT } = geometry;
       
       console.log(`Calculated dimensions: ${canvasWidth} x ${canvasHeight}`);
-      console.log(`Layout: ${maxCols} cols x ${rows} rows`);
       
-      // Canvas作成
-      const canvas = createCanvas(canvasWidth, canvasHeight);
+      // Canvas作成（以降の描画は scale 倍になる）
+      const canvas = createCanvas(Math.round(canvasWidth * scale), Math.round(canvasHeight * scale));
       const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
 
       // 背景
-      ctx.fillStyle = '#1a1a2e';
+      ctx.fillStyle = theme.background;
       ctx.fillRect(0, 0, canvasWidth, canvasHeight);
 
-      // タイトル（日本語フォント使用）
-      ctx.fillStyle = '#ffffff';
-      ctx.font = 'bold 24px Japanese, Arial, sans-serif';
+      // タイトル
+      ctx.fillStyle = theme.title;
+      ctx.font = themeFont(theme, 24, true);
       ctx.textAlign = 'center';
-      const spreadNames = {
-        'celt': 'ケルト十字スプレッド',
-        'three': 'スリーカード',
-        'one': 'ワンカード',
-        'kantan': 'かんたんスプレッド',
-        'nitaku': '二択スプレッド',
-        'horse': 'ホースシュースプレッド'
-      };
-      ctx.fillText(spreadNames[reading.spread] || reading.spread, canvasWidth / 2, 40);
+      ctx.fillText(this.getSpreadName(reading.spread, { ...reading, locale }), canvasWidth / 2, 40);
 
-      // 質問（日本語フォント使用）
-      ctx.font = '16px Japanese, Arial, sans-serif';
-      ctx.fillText(`質問: ${reading.question}`, canvasWidth / 2, 70);
+      // 質問
+      ctx.fillStyle = theme.text;
+      ctx.font = themeFont(theme, 16);
+      ctx.fillText(t(locale, 'reading.questionLine', { question: reading.question }), canvasWidth / 2, 70);
       
       // 区切り線を追加
-      ctx.strokeStyle = '#666666';
+      ctx.strokeStyle = theme.divider;
       ctx.lineWidth = 1;
       ctx.beginPath();
       ctx.moveTo(50, 85);
       ctx.lineTo(canvasWidth - 50, 85);
       ctx.stroke();
+      // カード画像はまとめて並行に読み込む
+      const isHidden = index => Boolean(revealed) && !revealed[index];
+      const cardImages = await Promise.all(reading.results.map((result, index) => (
+        isHidden(index) ? this.getCardBack(theme) : this.loadCardImage(result.card, theme)
+      )));
+
       // カード配置
+      const positionNames = this.getPositionNames(reading, locale);
+      // 逆位置のないデッキパックでは向きを書かない
+      const positionText = card => (this.usesReversals(card) ? t(locale, card.position === REVERSED ? 'card.reversedShort' : 'card.uprightShort') : '');
       for (let i = 0; i < cardCount; i++) {
-        const result = reading.results[i];
-        const card = result.card;
-        const isReversed = card.position === '逆位置';
-
-        // 位置計算（完全中央寄せ）
-        const col = i % 5;
-        const row = Math.floor(i / 5);
-        
-        // 各行のカード数を計算
-        const cardsInThisRow = Math.min(cardCount - (row * 5), 5);
-        
-        // この行のカードを中央寄せで配置
-        const rowWidth = (cardsInThisRow - 1) * CARD_SPACING_X;
-        const rowStartX = (canvasWidth - rowWidth) / 2;
-        
-        const x = rowStartX + (col * CARD_SPACING_X);
-        const y = TOP_MARGIN + (row * CARD_SPACING_Y);
-
-        console.log(`Card ${i}: ${card.name} at (${x}, ${y}), reversed: ${isReversed}`);
+        const card = localizeCard(reading.results[i].card, locale);
+        const hidden = isHidden(i);
+        const isReversed = !hidden && card.position === REVERSED;
+        const { x, y, rotation, labelY } = geometry.slots[i];
+
+        console.log(`Card ${i}: ${card.name} at (${x}, ${y}), rotation: ${rotation}, reversed: ${isReversed}`);
 
         try {
-          // 画像読み込み
-          const cardImage = await this.loadCardImage(card);
+          const cardImage = cardImages[i];
 
           // Canvas操作
           ctx.save();
           ctx.translate(x, y);
 
-          // 逆位置の場合は180度回転
-          if (isReversed) {
-            ctx.rotate(Math.PI);
+          // 配置の回転（ケルト十字の交差カードなど）に、逆位置なら180度を加える
+          const angle = rotation + (isReversed ? 180 : 0);
+          if (angle % 360 !== 0) {
+            ctx.rotate(angle * Math.PI / 180);
           }
 
           // カード描画
           ctx.drawImage(cardImage, -CARD_WIDTH/2, -CARD_HEIGHT/2, CARD_WIDTH, CARD_HEIGHT);
+          this.drawCardFrame(ctx, theme, CARD_WIDTH, CARD_HEIGHT);
           ctx.restore();
 
-          // ラベル描画（常に正立）（日本語フォント使用）
-          ctx.fillStyle = '#ffffff';
-          ctx.font = 'bold 12px Japanese, Arial, sans-serif';
+          // ラベル描画（常に正立）
+          ctx.fillStyle = theme.text;
+          ctx.font = themeFont(theme, 12, true);
           ctx.textAlign = 'center';
           
-          const labelY = y + CARD_HEIGHT/2 + 20;
-          ctx.fillText(result.position, x, labelY);
+          ctx.fillText(positionNames[i], x, labelY);
           
           // カード名と正逆位置を組み合わせて表示（長い場合は2行に分割）
-          ctx.font = '10px Japanese, Arial, sans-serif';
-          ctx.fillStyle = isReversed ? '#ff6b6b' : '#4ecdc4';
-          const positionText = card.position === '逆位置' ? '逆' : '正';
-          const cardInfo = `${card.name} ${positionText}`;
+          ctx.font = themeFont(theme, 10);
+          ctx.fillStyle = isReversed ? theme.reversed : theme.upright;
+          const cardInfo = [card.name, positionText(card)].filter(Boolean).join(' ');
           
-          // カード名が長い場合は2行に分割
-          if (cardInfo.length > 12) {
+          if (hidden) {
+            ctx.fillStyle = theme.text;
+            ctx.fillText('？', x, labelY + 15);
+          } else if (cardInfo.length > 12) {
+            // カード名が長い場合は2行に分割
             ctx.fillText(card.name, x, labelY + 15);
-            ctx.fillText(positionText, x, labelY + 27);
+            ctx.fillText(positionText(card), x, labelY + 27);
           } else {
             ctx.fillText(cardInfo, x, labelY + 15);
           }
 
+          if (annotations && annotations[i]) {
+            ctx.fillStyle = theme.text;
+            ctx.fillText(annotations[i], x, labelY + 39);
+          }
+
         } catch (drawError) {
           console.error(`Error drawing card ${card.name}:`, drawError);
           
           // エラー時は四角形で代替
-          ctx.fillStyle = '#666666';
+          ctx.fillStyle = theme.placeholder.background;
           ctx.fillRect(x - CARD_WIDTH/2, y - CARD_HEIGHT/2, CARD_WIDTH, CARD_HEIGHT);
           
-          ctx.fillStyle = '#ffffff';
-          ctx.font = '12px Japanese, Arial, sans-serif';
+          ctx.fillStyle = theme.placeholder.text;
+          ctx.font = themeFont(theme, 12);
           ctx.textAlign = 'center';
           
-          // エラー時もカード名と正逆位置を組み合わせて表示
-          const positionText = card.position === '逆位置' ? '逆' : '正';
-          const cardInfo = `${card.name} ${positionText}`;
-          ctx.fillText(cardInfo, x, y);
+          // エラー時もカード名と正逆位置を組み合わせて表示（伏せたカードは伏せたまま）
+          ctx.fillText(hidden ? '？' : `${card.name} ${positionText(card)}`, x, y);
         }
       }
 
@@ -339,38 +751,98 @@ class TarotBot {
     }
   }
 
-  // ランダムにカードを選択
-  selectRandomCards(count) {
+  // サーバー・ユーザーの既定値とコマンドの指定を合わせた占いオプション（デッキパックのルールも適用）
+  // 既定値に設定したパックがなくなっていれば既定のパックを使う（コマンドで指定したパックは checkDeck で報告する）
+  getReadingOptions({ guildId, userId } = {}, overrides = {}) {
+    const guildOptions = guildId ? this.settingsStore.getGuild(guildId).readingOptions : null;
+    const userOptions = userId ? this.settingsStore.getUser(userId).readingOptions : null;
+    const options = resolveOptions(guildOptions, userOptions, overrides);
+    if (overrides.pack === undefined && !this.getPack(options.pack)) {
+      options.pack = DEFAULT_PACK;
+    }
+    return applyPackRules(options, this.getPack(options.pack));
+  }
+
+  // オプションのデッキパックを、オプションで絞り込んだデッキ（パックがなければ空）
+  getDeck(options = DEFAULT_OPTIONS) {
+    const pack = this.getPack(options.pack);
+    return pack ? filterDeck(pack.cards, options) : [];
+  }
+
+  // スプレッドをオプションのデッキで占えるか（占えなければ表示用のエラー文、占えればnull）
+  checkDeck(spread, options, locale = DEFAULT_LOCALE) {
+    const pack = this.getPack(options.pack);
+    if (!pack) {
+      return t(locale, 'reading.unknownPack', { pack: options.pack, packs: [...this.packs.keys()].join(', ') });
+    }
+    if (!isSpreadCompatible(pack, spread)) {
+      return t(locale, 'reading.incompatibleSpread', { pack: getPackName(pack, locale), spreads: pack.spreads.join(', ') });
+    }
+    const deckSize = this.getDeck(options).length;
+    if (deckSize < spread.positions.length) {
+      return t(locale, 'reading.deckTooSmall', { deckSize, count: spread.positions.length });
+    }
+    return null;
+  }
+
+  // ランダムにカードを選択（rngにシード付きの乱数を渡すと同じ結果を再現できる）
+  selectRandomCards(count, rng = Math.random, options = DEFAULT_OPTIONS) {
     const selectedCards = [];
-    const availableCards = [...this.cards];
+    const availableCards = this.getDeck(options);
+    const reverseRate = getReverseRate(options);
     
     for (let i = 0; i < count && availableCards.length > 0; i++) {
-      const randomIndex = Math.floor(Math.random() * availableCards.length);
+      const randomIndex = Math.floor(rng() * availableCards.length);
       const card = availableCards.splice(randomIndex, 1)[0];
-      const isReversed = Math.random() < 0.5;
+      const isReversed = rng() < reverseRate;
       
       selectedCards.push({
         ...card,
-        position: isReversed ? '逆位置' : '正位置'
+        position: isReversed ? REVERSED : UPRIGHT
       });
     }
     
     return selectedCards;
   }
 
-  // 占いを実行
-  async performReading(spreadName, question, userId = 'unknown') {
-    if (!this.spreads[spreadName]) {
+  // 占いを実行（guildIdはカスタムスプレッドの検索と記録に使う）
+  // seedを指定すると同じシード・同じデッキで同じカードが出る（未指定ならランダムなシードを記録）
+  // optionsはgetReadingOptionsで解決済みのもの（デッキの絞り込み・逆位置の扱い）
+  // dailyDateは今日のカードの日付（同じ日に2回引かないための記録）
+  // visibilityは共有ページの公開範囲（省略時はサーバー内なら unlisted、DMなら private）
+  // localeは占ったときの表示言語（共有ページの既定の言語）
+  async performReading(spreadName, question, userId = 'unknown', settings = {}) {
+    const reading = this.createReading(spreadName, question, userId, settings);
+    if (!reading) {
       return null;
     }
 
-    const positions = this.spreads[spreadName];
-    const selectedCards = this.selectRandomCards(positions.length);
+    await this.saveReading(reading);
+    return reading;
+  }
+
+  // カードを引いた占い結果を作成（保存はしない、グループ占いは全員が引き終わってから保存する）
+  createReading(spreadName, question, userId = 'unknown', { guildId = null, seed = null, options = DEFAULT_OPTIONS, dailyDate = null, visibility = defaultVisibility(guildId), locale = null } = {}) {
+    const spread = this.getSpread(spreadName, { guildId, userId });
+    if (!spread) {
+      return null;
+    }
+
+    const readingSeed = seed || createSeed();
+    const positions = spread.positions.map(position => position.name);
+    const selectedCards = this.selectRandomCards(positions.length, createRng(readingSeed), options);
     
     const reading = {
+      id: createReadingId(),
+      seed: readingSeed,
+      options: options,
       spread: spreadName,
       question: question,
       userId: userId,
+      guildId: guildId,
+      dailyDate: dailyDate,
+      visibility: visibility,
+      locale: locale,
       results: positions.map((position, index) => ({
         position: position,
         card: selectedCards[index]
@@ -378,33 +850,119 @@ class TarotBot {
       timestamp: new Date().toISOString()
     };
 
-    await this.saveReading(reading);
     return reading;
   }
 
-  // 占い結果をGoogle Sheetsに保存
+  // 表示言語（ユーザー設定 > サーバー設定 > Discordクライアントの言語 > 既定値）
+  getLocale({ guildId, userId, clientLocale } = {}) {
+    const userLocale = userId ? this.settingsStore.getUser(userId).locale : null;
+    const guildLocale = guildId ? this.settingsStore.getGuild(guildId).locale : null;
+    return userLocale || guildLocale || fromDiscordLocale(clientLocale) || DEFAULT_LOCALE;
+  }
+
+  // 今日のカードのタイムゾーン（ユーザー設定 > サーバー設定 > 既定値）
+  getTimeZone({ guildId, userId } = {}) {
+    const userZone = userId ? this.settingsStore.getUser(userId).timezone : null;
+    const guildDaily = guildId ? this.settingsStore.getGuild(guildId).daily : null;
+    return userZone || (guildDaily && guildDaily.timezone) || DEFAULT_TIMEZONE;
+  }
+
+  // 今日のカードの日付（getTimeZone のタイムゾーンでの今日）
+  getDailyDate({ guildId, userId } = {}) {
+    return getLocalDateTime(new Date(), this.getTimeZone({ guildId, userId })).date;
+  }
+
+  // その日に引いた今日のカード（まだ引いていなければnull）
+  async findDailyReading(userId, date) {
+    const history = await this.getReadingHistory(userId, 50);
+    const existing = history.find(record => record.spread === DAILY_SPREAD.key && record.dailyDate === date);
+    return existing ? this.restoreReading(existing) : null;
+  }
+
+  // 今日のカードを引いて保存（引いたかどうかは先に findDailyReading で確かめる）
+  async performDailyReading(userId, date, { guildId = null, locale = DEFAULT_LOCALE } = {}) {
+    const options = this.getReadingOptions({ guildId, userId });
+    return this.performReading(DAILY_SPREAD.key, t(locale, 'daily.question'), userId, {
+      guildId,
+      seed: getDailySeed(userId, date),
+      options,
+      dailyDate: date,
+      locale
+    });
+  }
+
+  // 保存済みの結果からカードを探す（旧形式のレコードはカード名で探す）
+  // packKey はレコードのオプションのパック（パックのない古いレコードは既定のパック）
+  findCardForResult(result, packKey = DEFAULT_PACK) {
+    const pack = this.getPack(packKey);
+    if (!pack) {
+      return null;
+    }
+    return (result.cardId !== null && result.cardId !== undefined && this.getCard(result.cardId, packKey))
+      || pack.cards.find(c => c.name === result.cardName)
+      || null;
+  }
+
+  // 保存済みのレコードを表示用の占い結果に戻す
+  restoreReading(record) {
+    const packKey = (record.options && record.options.pack) || DEFAULT_PACK;
+    return {
+      ...record,
+      results: record.results.map(result => {
+        const card = this.findCardForResult(result, packKey)
+          || createPlaceholderCard({ id: result.cardId, name: result.cardName, pack: packKey });
+        return {
+          position: result.position,
+          card: { ...card, position: result.orientation || UPRIGHT },
+          ...(result.drawnBy ? { drawnBy: result.drawnBy } : {})
+        };
+      })
+    };
+  }
+
+  // IDで占い結果を取得
+  async getReading(id) {
+    try {
+      const record = await this.readingStore.getById(id);
+      return record ? this.restoreReading(record) : null;
+    } catch (error) {
+      console.error('Error getting reading:', error);
+      return null;
+    }
+  }
+
+  // 記録に保存するユーザーID（ソルトがあればハッシュ）
+  storedUserId(userId) {
+    return this.userIdSalt ? hashUserId(userId, this.userIdSalt) : userId;
+  }
+
+  // 記録を探すときのユーザーID（ハッシュにする前に保存した記録も探す）
+  userKeys(userId) {
+    return this.userIdSalt ? [hashUserId(userId, this.userIdSalt), userId] : [userId];
+  }
+
+  // 占った本人か（保存済みの記録はハッシュのことがある）
+  isOwner(reading, userId) {
+    return Boolean(reading) && this.userKeys(userId).includes(reading.userId);
+  }
+
+  // 占い結果を保存（保存先はreadingStoreの設定による）
+  // 保存を止めているユーザーの占いは保存せず、reading.persisted を false にする（IDで呼び出せないため）
   async saveReading(reading) {
+    if (isStorageDisabled(this.settingsStore.getUser(reading.userId))) {
+      reading.persisted = false;
+      return;
+    }
+
     try {
-      const resultText = reading.results
-        .map(r => `${r.position}:${r.card.name}(${r.card.position})`)
-        .join(', ');
-      
-      const row = [
-        reading.timestamp,
-        reading.userId,
-        reading.question,
-        reading.spread,
-        resultText
-      ];
-
-      await sheets.spreadsheets.values.append({
-        spreadsheetId: SPREADSHEET_ID,
-        range: 'Readings!A:E',
-        valueInputOption: 'RAW',
-        resource: {
-          values: [row]
+      const record = toRecord(reading);
+      record.userId = this.storedUserId(record.userId);
+      record.results.forEach(result => {
+        if (result.drawnBy) {
+          result.drawnBy = this.storedUserId(result.drawnBy);
         }
       });
+      await this.readingStore.save(record);
     } catch (error) {
       console.error('Error saving reading:', error);
     }
@@ -413,76 +971,145 @@ class TarotBot {
   // 占い履歴を取得
   async getReadingHistory(userId, limit = 5) {
     try {
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId: SPREADSHEET_ID,
-        range: 'Readings!A:E',
-      });
-      
-      const rows = response.data.values;
-      if (!rows || rows.length <= 1) {
-        return [];
-      }
-
-      const userReadings = rows.slice(1)
-        .filter(row => row[1] === userId)
-        .sort((a, b) => new Date(b[0]) - new Date(a[0]))
-        .slice(0, limit);
-
-      return userReadings.map(row => ({
-        timestamp: row[0],
-        userId: row[1],
-        question: row[2],
-        spread: row[3],
-        result: row[4]
-      }));
+      const lists = await Promise.all(this.userKeys(userId).map(key => this.readingStore.getHistory(key, limit)));
+      return sortNewestFirst(lists.flat()).slice(0, limit);
     } catch (error) {
       console.error('Error getting reading history:', error);
       return [];
     }
   }
 
-  // 結果をDiscord用にフォーマット
-  formatReading(reading) {
-    const spreadNames = {
-      'celt': 'ケルト十字スプレッド',
-      'three': 'スリーカード',
-      'one': 'ワンカード',
-      'kantan': 'かんたんスプレッド',
-      'nitaku': '二択スプレッド',
-      'horse': 'ホースシュースプレッド'
-    };
+  // ユーザーの占い記録をすべて削除（削除した件数、失敗したらnull）
+  async forgetUser(userId) {
+    try {
+      let deleted = 0;
+      for (const key of this.userKeys(userId)) {
+        deleted += await this.readingStore.deleteByUser(key);
+      }
+      return deleted;
+    } catch (error) {
+      console.error('Error deleting readings:', error);
+      return null;
+    }
+  }
+
+  // 保存済みの占い結果を更新（メモ・結果・公開範囲の記録用）
+  async updateReading(id, updater) {
+    try {
+      return await this.readingStore.update(id, updater);
+    } catch (error) {
+      console.error('Error updating reading:', error);
+      return null;
+    }
+  }
+
+  // 条件に合う占い履歴（userId・guildId・spread・keyword・since・until）
+  async findReadings(filter) {
+    try {
+      if (!filter.userId) {
+        return await this.readingStore.find(filter);
+      }
+      const lists = await Promise.all(this.userKeys(filter.userId).map(userId => this.readingStore.find({ ...filter, userId })));
+      return sortNewestFirst(lists.flat());
+    } catch (error) {
+      console.error('Error finding readings:', error);
+      return [];
+    }
+  }
+
+  // 向きの表示（正位置・逆位置）
+  formatOrientation(card, locale = DEFAULT_LOCALE) {
+    return t(locale, card.position === REVERSED ? 'card.reversed' : 'card.upright');
+  }
+
+  // 既定値と違うオプションの説明（既定以外のデッキパックはパック名も表示）
+  describeReadingOptions(options, locale = DEFAULT_LOCALE) {
+    const packName = options.pack && options.pack !== DEFAULT_PACK ? this.getPackName(options.pack, locale) : '';
+    return [packName, describeOptions(options, locale)].filter(Boolean).join(' / ');
+  }
 
-    let message = `🔮 **${spreadNames[reading.spread] || reading.spread}** - ${reading.question}\n\n`;
+  // カードのデッキパックが逆位置を使うか（パックが見つからなければ使うものとして扱う）
+  usesReversals(card) {
+    const pack = this.getPack(card.pack);
+    return !pack || pack.reversals;
+  }
+
+  // カード名と向き（逆位置のないデッキパックのカードは名前だけ）
+  formatCardName(card, locale = DEFAULT_LOCALE) {
+    return this.usesReversals(card) ? `${card.name}（${this.formatOrientation(card, locale)}）` : card.name;
+  }
+
+  // 結果をDiscord用にフォーマット
+  // revealed（位置ごとの true/false）を渡すと、false の位置は伏せたまま表示する
+  // shareLink を false にすると共有ページのリンクを付けない（占った本人以外に見せるとき）
+  formatReading(reading, locale = DEFAULT_LOCALE, { revealed = null, shareLink = true } = {}) {
+    const spread = localizeSpread(this.getSpread(reading.spread, reading), locale);
+    const positionNames = this.getPositionNames(reading, locale);
+    const isHidden = index => Boolean(revealed) && !revealed[index];
+    // グループ占いでは引いた人も表示（ハッシュで保存された記録では表示しない）
+    const drawnBy = result => (result.drawnBy && !isHashedUserId(result.drawnBy) ? `　👤 <@${result.drawnBy}>` : '');
+    let message = `🔮 **${spread ? spread.name : reading.spread}** - ${reading.question}\n\n`;
     
-    if (reading.spread === 'horse') {
-      message += `**📅 過去**\n${reading.results[0].card.name}（${reading.results[0].card.position}）\n　└ *${reading.results[0].card.meaning}*\n\n`;
-      message += `**🕐 現在**\n${reading.results[1].card.name}（${reading.results[1].card.position}）\n　└ *${reading.results[1].card.meaning}*\n\n`;
-      message += `**🔮 近未来**\n${reading.results[2].card.name}（${reading.results[2].card.position}）\n　└ *${reading.results[2].card.meaning}*\n\n`;
-      message += `**💡 アドバイス**\n${reading.results[3].card.name}（${reading.results[3].card.position}）\n　└ *${reading.results[3].card.meaning}*\n\n`;
-      message += `**👥 周囲（相手）の状況**\n${reading.results[4].card.name}（${reading.results[4].card.position}）\n　└ *${reading.results[4].card.meaning}*\n\n`;
-      message += `**⚠️ 障害**\n${reading.results[5].card.name}（${reading.results[5].card.position}）\n　└ *${reading.results[5].card.meaning}*\n\n`;
-      message += `**🎯 最終予想**\n${reading.results[6].card.name}（${reading.results[6].card.position}）\n　└ *${reading.results[6].card.meaning}*\n\n`;
+    if (hasPositionEmojis(spread)) {
+      // 位置ごとに絵文字があるスプレッドは見出し形式で表示
+      reading.results.forEach((result, index) => {
+        const position = spread.positions[index];
+        const card = localizeCard(result.card, locale);
+        const heading = position && position.emoji ? `${position.emoji} ${positionNames[index]}` : positionNames[index];
+        message += isHidden(index)
+          ? `**${heading}**\n🂠 ${t(locale, 'reveal.hidden')}\n\n`
+          : `**${heading}**\n${this.formatCardName(card, locale)}${drawnBy(result)}\n　└ *${getCardMeaning(card)}*\n\n`;
+      });
     } else {
-      reading.results.forEach(result => {
-        message += `**${result.position}**: ${result.card.name}（${result.card.position}）\n`;
-        message += `　└ *${result.card.meaning}*\n\n`;
+      reading.results.forEach((result, index) => {
+        const card = localizeCard(result.card, locale);
+        if (isHidden(index)) {
+          message += `**${positionNames[index]}**: 🂠 ${t(locale, 'reveal.hidden')}\n\n`;
+          return;
+        }
+        message += `**${positionNames[index]}**: ${this.formatCardName(card, locale)}${drawnBy(result)}\n`;
+        message += `　└ *${getCardMeaning(card)}*\n\n`;
       });
     }
     
-    message += `質問: ${reading.question}`;
+    // 全体の傾向は全部めくってから
+    const synthesis = revealed && !revealed.every(Boolean) ? '' : synthesizeReading(reading, locale);
+    if (synthesis) {
+      message += `📖 **${t(locale, 'synthesis.heading')}**\n${synthesis}\n\n`;
+    }
+
+    message += t(locale, 'reading.questionLine', { question: reading.question });
+    const optionsText = reading.options ? this.describeReadingOptions(reading.options, locale) : '';
+    if (optionsText) {
+      message += `\n🎴 ${optionsText}`;
+    }
+    if (reading.persisted === false) {
+      message += `\n🔒 ${t(locale, 'privacy.notStored')}`;
+    } else if (reading.id) {
+      message += `\n🆔 ${t(locale, 'reading.idLine', { id: reading.id })}`;
+    }
+    // 共有ページのリンク（めくる途中は結果が見えてしまうので付けない）
+    const shareUrl = !shareLink || (revealed && !revealed.every(Boolean)) || reading.persisted === false ? null : getShareUrl(this.shareBaseUrl, reading);
+    if (shareUrl) {
+      message += `\n🔗 ${t(locale, 'share.linkLine', { url: shareUrl, id: reading.id })}`;
+    }
     return message;
   }
 
-  // 履歴をDiscord用にフォーマット
-  formatHistory(history) {
+  // 履歴をDiscord用にフォーマット（pageInfoはpaginateの結果、なければ最新の一覧として表示）
+  // redactを指定すると質問と占いIDを伏せる（サーバーのチャンネルに表示するとき）
+  formatHistory(history, pageInfo = null, locale = DEFAULT_LOCALE, { redact = false } = {}) {
     if (history.length === 0) {
-      return '📋 **占い履歴**\n\n履歴がありません。';
+      return `📋 **${t(locale, 'history.title')}**\n\n${t(locale, 'history.empty')}`;
     }
 
-    let message = `📋 **占い履歴**（最新${history.length}件）\n\n`;
+    let message = pageInfo
+      ? `📋 **${t(locale, 'history.title')}**${t(locale, 'history.pageInfo', pageInfo)}\n\n`
+      : `📋 **${t(locale, 'history.title')}**${t(locale, 'history.latest', { count: history.length })}\n\n`;
+    const offset = pageInfo ? pageInfo.offset : 0;
     
     history.forEach((record, index) => {
-      const date = new Date(record.timestamp).toLocaleString('ja-JP', {
+      const date = new Date(record.timestamp).toLocaleString(getDateLocale(locale), {
         timeZone: 'Asia/Tokyo',
         year: 'numeric',
         month: '2-digit',
@@ -491,25 +1118,53 @@ class TarotBot {
         minute: '2-digit'
       });
       
-      const spreadNames = {
-        'celt': 'ケルト十字',
-        'three': 'スリーカード',
-        'one': 'ワンカード',
-        'kantan': 'かんたん',
-        'nitaku': '二択',
-        'horse': 'ホースシュー'
-      };
-      
-      message += `**${index + 1}.** ${date}\n`;
-      message += `　${spreadNames[record.spread] || record.spread} - ${record.question}\n\n`;
+      // 伏せるときは占いIDも出さない（IDから共有ページや詳細をたどれるため）
+      message += `**${offset + index + 1}.** ${date}${record.id && !redact ? `　🆔 ${record.id}` : ''}\n`;
+      const question = redact ? t(locale, 'privacy.redacted') : record.question;
+      message += `　${this.getSpreadShortName(record.spread, { ...record, locale })} - ${question}\n\n`;
     });
 
+    if (pageInfo && pageInfo.page < pageInfo.totalPages) {
+      message += `➡️ ${t(locale, 'history.nextPage', { page: pageInfo.page + 1 })}\n`;
+    }
+    message += `🔍 ${t(locale, 'history.detailHint')}`;
+    if (redact) {
+      message += `\n🔒 ${t(locale, 'privacy.redactedHint')}`;
+    }
     return message;
   }
 }
 
 // TarotBotインスタンス作成
-const tarotBot = new TarotBot();
+const tarotBot = new TarotBot({
+  readingStore,
+  settingsStore,
+  cardImageStore,
+  createPackImageStore,
+  themes,
+  shareBaseUrl: PUBLIC_BASE_URL,
+  userIdSalt: process.env.USER_ID_SALT || null
+});
+
+// 占い結果の共有ページ（/r/<占いID>）
+app.use('/r', createShareRouter({ tarotBot, baseUrl: PUBLIC_BASE_URL }));
+
+// HTTP API（API_KEYS が未設定なら無効、再読み込みは API_ADMIN_KEYS のキーだけ）
+const apiKeys = parseApiKeys(process.env.API_KEYS);
+const apiAdminKeys = parseApiKeys(process.env.API_ADMIN_KEYS);
+if (apiKeys.length > 0) {
+  app.use('/api', createApiRouter({
+    tarotBot,
+    apiKeys,
+    adminKeys: apiAdminKeys,
+    reloadData: () => reloadData(),
+    rateLimiter,
+    rateLimit: Number(process.env.API_RATE_LIMIT || 60)
+  }));
+  console.log(`HTTP API enabled for ${apiKeys.length} API keys`);
+} else {
+  console.log('HTTP API disabled (API_KEYS not set)');
+}
 
 // Botの準備完了
 client.once('ready', async () => {
@@ -517,13 +1172,30 @@ client.once('ready', async () => {
   console.log(`Logged in as ${client.user.tag}!`);
   console.log(`Bot ID: ${client.user.id}`);
   
+  await settingsStore.load();
+
+  // 今日のカードの定時投稿・リマインダー（設定はファイルに保存されるので再起動後も続く）
+  // データの読み込みに失敗しても、あとで再読み込みすれば動くよう先に始める
+  setInterval(() => {
+    postDueDailyCards().catch(error => console.error('Daily card scheduler error:', error));
+    sendDueReminders().catch(error => console.error('Reminder scheduler error:', error));
+    rateLimiter.sweep();
+  }, 60 * 1000);
+
   let retries = 3;
   while (retries > 0) {
-    const cardsLoaded = await tarotBot.loadCards();
-    const spreadsLoaded = await tarotBot.loadSpreads();
-    
-    if (cardsLoaded && spreadsLoaded) {
+    const report = await tarotBot.reloadData();
+
+    if (report.applied) {
+      // エラーを承知で読み込んだ場合も、直すべき内容をログに残す
+      if (report.errors.length > 0 || report.deckErrors.length > 0) {
+        console.warn(`Loaded data with problems:\n${formatReloadReport(report, DEFAULT_LOCALE)}`);
+      }
       console.log('=== NEW Enhanced Tarot Bot with Dynamic Images is ready! ===');
+      if (process.env.PRELOAD_CARD_IMAGES === 'true') {
+        // 応答を待たせないよう、読み込みはバックグラウンドで進める
+        tarotBot.preloadCardImages().catch(error => console.error('Error preloading card images:', error));
+      }
       break;
     }
     
@@ -533,7 +1205,16 @@ client.once('ready', async () => {
   }
   
   if (retries === 0) {
-    console.error('Failed to load data after 3 attempts');
+    // スラッシュコマンドは再読み込みに成功したときに登録する
+    console.error('Failed to load data after 3 attempts (fix the data and run !divine reload or POST /api/reload)');
+    return;
+  }
+
+  // 読み込んだスプレッドから /divine コマンドを登録
+  try {
+    await registerSlashCommands(client, tarotBot.spreads, tarotBot.themes, process.env.DISCORD_GUILD_ID, tarotBot.getPacks());
+  } catch (error) {
+    console.error('Error registering slash commands:', error);
   }
 });
 
@@ -546,180 +1227,1547 @@ process.on('unhandledRejection', (error) => {
   console.error('Unhandled promise rejection:', error);
 });
 
-// メッセージ処理
-client.on('messageCreate', async (message) => {
-  if (message.author.bot) return;
-  if (!message.content.startsWith('!divine')) return;
+// ヘルプメッセージ（占いコマンドはスプレッドの登録情報から生成）
+function buildHelpMessage(context = {}) {
+  const spreadCommands = tarotBot.getAvailableSpreads(context)
+    .map(spread => t(context.locale, 'help.spreadCommand', { key: spread.key, help: spread.help }))
+    .join('\n');
 
-  const args = message.content.split(' ');
-  const command = args[1];
-  const userId = message.author.id;
+  return t(context.locale, 'help.body', { spreadCommands });
+}
 
-  console.log(`=== NEW BOT: Received command: ${command} ===`);
+// スプレッド一覧メッセージ
+function buildSpreadsMessage(context = {}) {
+  const spreadsList = tarotBot.getAvailableSpreads(context)
+    .map(spread => {
+      const description = spread.description ? ` - ${spread.description}` : '';
+      const custom = spread.custom ? ' 🛠️' : '';
+      return `• **${spread.name}** (${spread.key}): ${t(context.locale, 'spreads.cardCount', { count: spread.positions.length })}${description}${custom}`;
+    })
+    .join('\n');
+  return t(context.locale, 'spreads.body', { spreadsList });
+}
 
-  try {
-    switch (command) {
-      case 'help':
-        const helpMessage = `
-🔮 **TarotBot コマンド一覧**
-
-**占いコマンド:**
-\`!divine one [質問]\` - ワンカード占い
-\`!divine three [質問]\` - スリーカード占い（過去・現在・未来）
-\`!divine celt [質問]\` - ケルト十字占い（10枚）
-\`!divine kantan [質問]\` - かんたんスプレッド（原因・結果・対策）
-\`!divine nitaku [質問]\` - 二択スプレッド（AとBの選択肢を比較）
-\`!divine horse [質問]\` - ホースシュースプレッド（7枚、全体的な流れと状況）
-
-**その他:**
-\`!divine help\` - このヘルプを表示
-\`!divine spreads\` - 利用可能なスプレッド一覧
-\`!divine history\` - あなたの占い履歴を表示
-\`!divine status\` - ボットの状態を表示
-\`!divine test\` - Canvas動作テスト
-
-**新機能:**
-✨ カード画像の動的生成
-✨ 逆位置カードの180度回転表示
-✨ スプレッド配置の視覚化
-
-💌 **このbotはDMでも利用できます！**
-        `;
-        await message.reply(helpMessage);
-        break;
+// デッキパック一覧メッセージ（枚数・逆位置の有無・使えるスプレッド）
+function buildDecksMessage(context = {}) {
+  const { locale } = context;
+  const current = tarotBot.getReadingOptions(context).pack;
+  const decksList = tarotBot.getPacks()
+    .map(pack => {
+      const spreads = pack.spreads ? pack.spreads.join(', ') : t(locale, 'decks.allSpreads');
+      const details = [
+        t(locale, 'spreads.cardCount', { count: pack.cards.length }),
+        t(locale, pack.reversals ? 'decks.reversalsOn' : 'decks.reversalsOff'),
+        t(locale, 'decks.spreads', { spreads })
+      ].join(' / ');
+      return `• **${getPackName(pack, locale)}** (${pack.key}): ${details}${pack.key === current ? ' ✅' : ''}`;
+    })
+    .join('\n');
+  return t(locale, 'decks.body', { decksList });
+}
 
-      case 'test':
-        console.log('=== CANVAS TEST STARTED ===');
-        try {
-          const testCanvas = createCanvas(300, 200);
-          const testCtx = testCanvas.getContext('2d');
-          
-          testCtx.fillStyle = '#ff0000';
-          testCtx.fillRect(0, 0, 300, 200);
-          
-          testCtx.fillStyle = '#ffffff';
-          testCtx.font = '20px Arial';
-          testCtx.textAlign = 'center';
-          testCtx.fillText('Canvas Test OK!', 150, 100);
-          
-          const testBuffer = testCanvas.toBuffer('image/png');
-          const testAttachment = new AttachmentBuilder(testBuffer, { name: 'canvas_test.png' });
-          
-          await message.reply({ content: '✅ Canvas test successful!', files: [testAttachment] });
-          console.log('=== CANVAS TEST COMPLETED SUCCESSFULLY ===');
-        } catch (testError) {
-          console.error('Canvas test failed:', testError);
-          await message.reply(`❌ Canvas test failed: ${testError.message}`);
-        }
+// ボット状態メッセージ
+function buildStatusMessage(context = {}) {
+  const { locale } = context;
+  const loaded = tarotBot.dataLoadedAt
+    ? t(locale, 'status.loadedAt', {
+      time: tarotBot.dataLoadedAt.toLocaleString(getDateLocale(locale), { timeZone: 'Asia/Tokyo' }),
+      warnings: tarotBot.dataWarnings
+    })
+    : t(locale, 'status.notLoaded');
+  const decks = tarotBot.getPacks()
+    .map(pack => t(locale, 'status.deckEntry', { name: getPackName(pack, locale), count: pack.cards.length }))
+    .join(t(locale, 'common.listSeparator'));
+  return t(locale, 'status.body', {
+    uptime: Math.floor(process.uptime() / 60),
+    decks: decks || t(locale, 'status.notLoaded'),
+    spreads: Object.keys(tarotBot.spreads).length,
+    loaded
+  });
+}
+
+// 履歴をサーバーのチャンネルに表示するか（伏せる対象か）、ephemeralは本人にだけ見える返信
+function shouldRedact(context, ephemeral = false) {
+  return REDACT_GUILD_HISTORY && Boolean(context.guildId) && !ephemeral;
+}
+
+// 履歴の詳細（引いたカードを再表示）
+async function buildHistoryDetailReply(target, context) {
+  const { locale } = context;
+  if (!target) {
+    return { content: `❌ ${t(locale, 'history.detailUsage')}` };
+  }
+
+  let record;
+  if (/^\d{1,3}$/.test(target)) {
+    const history = await tarotBot.findReadings({ userId: context.userId });
+    record = history[parseInt(target, 10) - 1];
+  } else {
+    const reading = await tarotBot.getReading(target.toLowerCase());
+    record = tarotBot.isOwner(reading, context.userId) ? reading : null;
+  }
+
+  if (!record) {
+    return { content: `❌ ${t(locale, 'history.notFound', { target })}` };
+  }
+
+  const reading = record.results[0] && record.results[0].card ? record : tarotBot.restoreReading(record);
+  const timeZone = tarotBot.getTimeZone(context);
+  const date = new Date(reading.timestamp).toLocaleString(getDateLocale(locale), { timeZone });
+  const title = `📋 **${t(locale, 'history.detailTitle')}**${t(locale, 'common.parenthesized', { text: date })}`;
+  if (context.redact) {
+    // 質問とメモ・結果は伏せる
+    return { content: `${title}\n\n${tarotBot.formatReading(redactReading(reading, locale), locale)}\n\n🔒 ${t(locale, 'privacy.redactedHint')}` };
+  }
+  const journal = formatJournal(reading, timeZone, locale);
+  return { content: `${title}\n\n${tarotBot.formatReading(reading, locale)}\n${journal}` };
+}
+
+// 全履歴をCSV・JSONでDMに送る
+async function buildHistoryExportReply(format = 'csv', source, context) {
+  const { locale } = context;
+  if (!['csv', 'json'].includes(format)) {
+    return { content: `❌ ${t(locale, 'history.invalidFormat')}` };
+  }
+
+  const records = await tarotBot.findReadings({ userId: context.userId });
+  if (records.length === 0) {
+    return { content: `📋 ${t(locale, 'history.nothingToExport')}` };
+  }
+
+  const body = format === 'csv'
+    ? toCsv(records, key => tarotBot.getSpreadName(key, context))
+    : toJson(records);
+  const attachment = new AttachmentBuilder(Buffer.from(body, 'utf8'), { name: `tarot_history.${format}` });
+  const user = source.author || source.user;
+
+  try {
+    await user.send({ content: `📦 ${t(locale, 'history.exportMessage', { count: records.length })}`, files: [attachment] });
+  } catch (error) {
+    console.error('Error sending history export:', error);
+    return { content: `❌ ${t(locale, 'common.dmFailed')}` };
+  }
+
+  return { content: context.guildId ? `📬 ${t(locale, 'history.exportSent')}` : `📦 ${t(locale, 'history.exportAbove')}` };
+}
+
+// 履歴（ページ送り・絞り込み・詳細・エクスポート）
+async function buildHistoryReply(args, source, context) {
+  if (args[0] === 'detail') {
+    return buildHistoryDetailReply(args[1], context);
+  }
+  if (args[0] === 'export') {
+    return buildHistoryExportReply(args[1], source, context);
+  }
+
+  const { query, errors } = parseHistoryArgs(args, tarotBot.getTimeZone(context), context.locale);
+  if (errors.length > 0) {
+    return { content: `❌ ${errors.join('\n')}\n${t(context.locale, 'history.usage')}` };
+  }
+
+  const records = await tarotBot.findReadings({ ...query.filter, userId: context.userId });
+  const pageInfo = paginate(records, query.page);
+  return { content: tarotBot.formatHistory(pageInfo.items, pageInfo, context.locale, { redact: context.redact }) };
+}
+
+// カードを検索して意味と画像を返信
+async function buildCardReply(query, context = {}) {
+  const { locale } = context;
+  if (!query) {
+    return { content: `❌ ${t(locale, 'card.usage')}` };
+  }
+
+  if (tarotBot.cards.length === 0) {
+    return { content: `❌ ${t(locale, 'common.cardsLoading')}` };
+  }
+
+  // 自分の既定のデッキパックから探し、見つからなければほかのパックからも探す
+  const currentPack = tarotBot.getReadingOptions(context).pack;
+  const packs = tarotBot.getPacks().sort((a, b) => (b.key === currentPack) - (a.key === currentPack));
+  const { exact, partial, suggestions } = packs
+    .map(pack => searchCards(pack.cards, query))
+    .find(result => result.exact.length > 0 || result.partial.length > 0)
+    || searchCards(packs.flatMap(pack => pack.cards), query);
+  const matches = exact.length > 0 ? exact : partial;
+  const packLabel = card => (card.pack && card.pack !== DEFAULT_PACK ? ` - ${tarotBot.getPackName(card.pack, locale)}` : '');
+  const listItem = card => `• ${localizeCard(card, locale).name} (ID: ${card.id}${packLabel(card)})`;
+
+  if (matches.length === 0) {
+    if (suggestions.length === 0) {
+      return { content: `❌ ${t(locale, 'card.notFound', { query })}` };
+    }
+    const suggestionList = suggestions.map(listItem).join('\n');
+    return { content: `❌ ${t(locale, 'card.notFound', { query })}\n\n**${t(locale, 'card.didYouMean')}**\n${suggestionList}` };
+  }
+
+  if (matches.length > 1) {
+    const candidateList = matches.slice(0, 10).map(listItem).join('\n');
+    const more = matches.length > 10 ? `\n${t(locale, 'card.more', { count: matches.length - 10 })}` : '';
+    return { content: `🔍 ${t(locale, 'card.multipleMatches', { query, count: matches.length })}\n${candidateList}${more}` };
+  }
+
+  const card = localizeCard(matches[0], locale);
+  const otherName = locale === DATA_LOCALE ? card.englishName : matches[0].name;
+  let content = `🃏 **${card.name}**${otherName && otherName !== card.name ? ` / ${otherName}` : ''} (ID: ${card.id})\n`;
+  // タロット以外のデッキパックのカードは大アルカナ・小アルカナの代わりにパック名
+  content += card.tarot === false
+    ? `${t(locale, 'card.deck')}: ${tarotBot.getPackName(card.pack, locale)}\n`
+    : `${t(locale, 'card.type')}: ${t(locale, isMajorArcana(card) ? 'card.major' : 'card.minor')}\n`;
+  if (card.keywords.length > 0) {
+    content += `${t(locale, 'card.keywords')}: ${card.keywords.join(t(locale, 'common.listSeparator'))}\n`;
+  }
+  if (tarotBot.usesReversals(card)) {
+    content += `\n**${t(locale, 'card.upright')}**\n　└ *${card.meaning}*\n`;
+    content += `**${t(locale, 'card.reversed')}**\n　└ *${getCardMeaning(card, REVERSED)}*`;
+  } else {
+    content += `\n**${t(locale, 'card.meaning')}**\n　└ *${card.meaning}*`;
+  }
+
+  const imageBuffer = await tarotBot.generateCardImage(card, tarotBot.getTheme(context));
+  if (!imageBuffer) {
+    return { content };
+  }
+
+  const attachment = new AttachmentBuilder(imageBuffer, { name: `card_${card.id}.png` });
+  return { content, files: [attachment] };
+}
+
+// サーバーの管理者か（管理権限、または設定された管理者ロール。メッセージ・スラッシュコマンドの両方に対応）
+function isGuildAdmin(source) {
+  const permissions = source.memberPermissions || (source.member && source.member.permissions);
+  if (permissions && permissions.has(PermissionFlagsBits.ManageGuild)) {
+    return true;
+  }
+  return hasAdminRole(getGuildConfig(settingsStore, source.guildId), source.member);
+}
+
+// カスタムスプレッドの作成・一覧・編集・削除
+async function buildCustomSpreadReply(action, key, positionsText, source, context) {
+  const { locale } = context;
+  const customSpreads = getCustomSpreads(settingsStore, context);
+  const scopeLabel = t(locale, context.guildId ? 'custom.scopeGuild' : 'custom.scopeUser');
+
+  switch (action) {
+    case 'list':
+    case undefined: {
+      const keys = Object.keys(customSpreads);
+      if (keys.length === 0) {
+        return `🛠️ ${t(locale, 'custom.listEmpty', { scope: scopeLabel })}`;
+      }
+      const list = keys
+        .map(spreadKey => `• **${spreadKey}** (${t(locale, 'spreads.cardCount', { count: customSpreads[spreadKey].positions.length })}): ${customSpreads[spreadKey].positions.join(' / ')}`)
+        .join('\n');
+      return `🛠️ **${t(locale, 'custom.listTitle', { scope: scopeLabel })}** (${keys.length}/${MAX_SPREADS_PER_SCOPE})\n${list}\n\n${t(locale, 'custom.readHint')}`;
+    }
+
+    case 'create':
+    case 'edit': {
+      const positions = parsePositions(positionsText);
+      const stored = findCustomSpread(settingsStore, context, key);
+      const exists = Boolean(stored);
+
+      if (action === 'create' && exists) {
+        return `❌ ${t(locale, 'custom.alreadyExists', { key })}`;
+      }
+      if (action === 'edit' && !exists) {
+        return `❌ ${t(locale, 'custom.notFound', { key })}`;
+      }
+      if (exists && stored.createdBy !== context.userId && !isGuildAdmin(source)) {
+        return `❌ ${t(locale, 'custom.editForbidden')}`;
+      }
+
+      const reservedKeys = new Set([...COMMAND_NAMES, ...Object.keys(tarotBot.spreads)]);
+      const error = validateCustomSpread(key, positions, { reservedKeys, deckSize: tarotBot.cards.length, locale });
+      if (error) {
+        return `❌ ${error}`;
+      }
+
+      const saved = await saveCustomSpread(settingsStore, context, key, positions);
+      if (!saved) {
+        return `❌ ${t(locale, 'custom.limitReached', { max: MAX_SPREADS_PER_SCOPE })}`;
+      }
+      return `✅ ${t(locale, action === 'create' ? 'custom.created' : 'custom.updated', { key, count: positions.length, positions: positions.join(' / ') })}`;
+    }
+
+    case 'delete': {
+      const stored = findCustomSpread(settingsStore, context, key);
+      if (!stored) {
+        return `❌ ${t(locale, 'custom.notFound', { key })}`;
+      }
+      if (stored.createdBy !== context.userId && !isGuildAdmin(source)) {
+        return `❌ ${t(locale, 'custom.deleteForbidden')}`;
+      }
+      await deleteCustomSpread(settingsStore, context, key);
+      return `🗑️ ${t(locale, 'custom.deleted', { key })}`;
+    }
+
+    default:
+      return `❌ ${t(locale, 'custom.usage')}`;
+  }
+}
+
+// 占いオプションの表示・設定（serverを付けるとサーバーの既定値、管理者のみ）
+async function buildOptionsReply(args, source, context) {
+  const { locale } = context;
+  const forGuild = args[0] === 'server';
+  const [action, key, value] = forGuild ? args.slice(1) : args;
+
+  if (forGuild && !context.guildId) {
+    return `❌ ${t(locale, 'options.guildOnly')}`;
+  }
+  if (forGuild && action && !isGuildAdmin(source)) {
+    return `❌ ${t(locale, 'options.adminOnly')}`;
+  }
+
+  const update = updater => (forGuild
+    ? settingsStore.updateGuild(context.guildId, updater)
+    : settingsStore.updateUser(context.userId, updater));
+  const scopeLabel = t(locale, forGuild ? 'options.scopeGuild' : 'options.scopeUser');
+
+  switch (action) {
+    case undefined: {
+      const effective = tarotBot.getReadingOptions(context);
+      const guildOptions = context.guildId ? settingsStore.getGuild(context.guildId).readingOptions : null;
+      let reply = `🎴 **${t(locale, 'options.currentTitle')}**\n${formatOptions(effective, locale)}\n`;
+      if (guildOptions) {
+        const guildDefaults = tarotBot.describeReadingOptions(resolveOptions(guildOptions), locale) || t(locale, 'options.standard');
+        reply += `\n${t(locale, 'options.guildDefaults', { options: guildDefaults })}\n`;
+      }
+      reply += `\n${t(locale, 'options.help')}`;
+      return reply;
+    }
+
+    case 'set': {
+      if (!key || value === undefined) {
+        return `❌ ${t(locale, 'options.setUsage')}`;
+      }
+      const parsed = parseOption(key, value, locale);
+      if (parsed.error) {
+        return `❌ ${parsed.error}`;
+      }
+      if (parsed.field === 'pack' && !tarotBot.getPack(parsed.value)) {
+        return `❌ ${t(locale, 'reading.unknownPack', { pack: parsed.value, packs: [...tarotBot.packs.keys()].join(', ') })}`;
+      }
+      await update(settings => {
+        settings.readingOptions = { ...(settings.readingOptions || {}), [parsed.field]: parsed.value };
+      });
+      return `✅ ${t(locale, 'options.updated', { scope: scopeLabel, key, value })}`;
+    }
+
+    case 'reset':
+      await update(settings => {
+        delete settings.readingOptions;
+      });
+      return `✅ ${t(locale, 'options.reset', { scope: scopeLabel })}`;
+
+    default:
+      return `❌ ${t(locale, 'options.usage')}`;
+  }
+}
+
+// 今日のカードの本文
+function formatDailyCard(card, date, title, locale = DEFAULT_LOCALE) {
+  const localized = localizeCard(card, locale);
+  return `${title}${t(locale, 'common.parenthesized', { text: date })}\n\n` +
+    `**${tarotBot.formatCardName(localized, locale)}**\n` +
+    `　└ *${getCardMeaning(localized)}*`;
+}
+
+// 今日のカードの返信（画像付き）
+async function buildDailyCardReply(card, content, theme) {
+  const imageBuffer = await tarotBot.generateCardImage(card, theme);
+  if (!imageBuffer) {
+    return { content };
+  }
+  const attachment = new AttachmentBuilder(imageBuffer, { name: `daily_${card.id}.png` });
+  return { content, files: [attachment] };
+}
+
+// ユーザーごとに進行中の今日のカード（続けて呼ばれても1枚だけ引く）
+const pendingDailyReplies = new Map();
+
+// ユーザーの今日のカード
+// 同じユーザーの処理が進行中なら、それが終わってから引いたかどうかを確かめる
+async function buildDailyReply(context) {
+  const { locale, userId } = context;
+  if (tarotBot.cards.length === 0) {
+    return { content: `❌ ${t(locale, 'common.cardsLoading')}` };
+  }
+
+  const previous = pendingDailyReplies.get(userId) || Promise.resolve();
+  const task = previous.catch(() => {}).then(() => drawDailyReply(context));
+  pendingDailyReplies.set(userId, task);
+  try {
+    return await task;
+  } finally {
+    if (pendingDailyReplies.get(userId) === task) {
+      pendingDailyReplies.delete(userId);
+    }
+  }
+}
+
+// 今日のカードを引く（引き済みなら保存済みのカードを表示し、回数制限は使わない）
+async function drawDailyReply(context) {
+  const { locale, userId, guildId } = context;
+  const date = tarotBot.getDailyDate({ guildId, userId });
+
+  let reading = await tarotBot.findDailyReading(userId, date);
+  const alreadyDrawn = Boolean(reading);
+  if (!alreadyDrawn) {
+    const limited = checkReadingLimit(context);
+    if (limited) {
+      return limited;
+    }
+    reading = await tarotBot.performDailyReading(userId, date, { guildId, locale });
+  }
+  if (!reading) {
+    return { content: `❌ ${t(locale, 'daily.failed')}` };
+  }
+
+  const card = reading.results[0].card;
+  let content = formatDailyCard(card, reading.dailyDate, `🌅 **${t(locale, 'daily.title')}**`, locale);
+  if (alreadyDrawn) {
+    content += `\n\n📌 ${t(locale, 'daily.alreadyDrawn')}`;
+  }
+  return buildDailyCardReply(card, content, tarotBot.getTheme(context));
+}
+
+// !divine daily のサブコマンド（schedule / unschedule はサーバー管理者のみ）
+async function buildDailyCommandReply(args, message, context) {
+  const { locale } = context;
+  const [action, ...rest] = args;
+
+  switch (action) {
+    case undefined:
+      return buildDailyReply(context);
+
+    case 'timezone': {
+      const timeZone = rest[0];
+      if (!timeZone) {
+        return { content: `🕐 ${t(locale, 'daily.currentTimeZone', { timeZone: tarotBot.getTimeZone(context) })}` };
+      }
+      if (!isValidTimeZone(timeZone)) {
+        return { content: `❌ ${t(locale, 'daily.unknownTimeZone', { timeZone })}` };
+      }
+      await settingsStore.updateUser(context.userId, settings => {
+        settings.timezone = timeZone;
+      });
+      return { content: `✅ ${t(locale, 'daily.timeZoneSet', { timeZone })}` };
+    }
+
+    case 'schedule': {
+      if (!context.guildId) {
+        return { content: `❌ ${t(locale, 'daily.guildOnly')}` };
+      }
+      const daily = settingsStore.getGuild(context.guildId).daily;
+      if (rest.length === 0) {
+        return {
+          content: daily && daily.channelId
+            ? `🗓️ ${t(locale, 'daily.scheduled', { time: daily.time, timeZone: daily.timezone || DEFAULT_TIMEZONE, channelId: daily.channelId })}`
+            : `🗓️ ${t(locale, 'daily.notScheduled')}`
+        };
+      }
+      if (!isGuildAdmin(message)) {
+        return { content: `❌ ${t(locale, 'daily.scheduleAdminOnly')}` };
+      }
+
+      const [channelArg, timeArg, timeZone = DEFAULT_TIMEZONE] = rest;
+      const channelMatch = (channelArg || '').match(/^<#(\d+)>$|^(\d+)$/);
+      const channelId = channelArg === 'here' ? message.channelId : channelMatch && (channelMatch[1] || channelMatch[2]);
+      const time = normalizeTime(timeArg);
+      if (!channelId || !time) {
+        return { content: `❌ ${t(locale, 'daily.scheduleUsage')}` };
+      }
+      if (!isValidTimeZone(timeZone)) {
+        return { content: `❌ ${t(locale, 'daily.unknownTimeZone', { timeZone })}` };
+      }
+
+      // 設定した時刻が今日すでに過ぎていても、今日の分は投稿しない
+      const { date, time: now } = getLocalDateTime(new Date(), timeZone);
+      await settingsStore.updateGuild(context.guildId, settings => {
+        settings.daily = {
+          channelId,
+          time,
+          timezone: timeZone,
+          lastPostedDate: now >= time ? date : null
+        };
+      });
+      return { content: `✅ ${t(locale, 'daily.scheduled', { time, timeZone, channelId })}` };
+    }
+
+    case 'unschedule':
+      if (!context.guildId || !isGuildAdmin(message)) {
+        return { content: `❌ ${t(locale, 'daily.unscheduleAdminOnly')}` };
+      }
+      await settingsStore.updateGuild(context.guildId, settings => {
+        delete settings.daily;
+      });
+      return { content: `✅ ${t(locale, 'daily.unscheduled')}` };
+
+    default:
+      return { content: `❌ ${t(locale, 'daily.usage')}` };
+  }
+}
+
+// 時刻になったサーバーのチャンネルへ今日のカードを投稿（1分ごとに確認）
+async function postDueDailyCards() {
+  if (tarotBot.cards.length === 0) {
+    return;
+  }
+
+  for (const { guildId, channelId, localDate } of findDueSchedules(settingsStore.data.guilds, new Date())) {
+    // 先に投稿済みにして、失敗しても同じ日に何度も投稿しないようにする
+    await settingsStore.updateGuild(guildId, settings => {
+      settings.daily.lastPostedDate = localDate;
+    });
+
+    try {
+      const channel = await client.channels.fetch(channelId);
+      if (!channel || !channel.isTextBased()) {
+        console.error(`Daily card channel ${channelId} is not a text channel`);
+        continue;
+      }
+
+      const options = tarotBot.getReadingOptions({ guildId });
+      const locale = tarotBot.getLocale({ guildId });
+      const [card] = tarotBot.selectRandomCards(1, createRng(getDailySeed(`guild:${guildId}`, localDate)), options);
+      const content = formatDailyCard(card, localDate, `🌅 **${t(locale, 'daily.guildTitle')}**`, locale);
+      await channel.send(await buildDailyCardReply(card, content, tarotBot.getTheme({ guildId })));
+      console.log(`Posted daily card for guild ${guildId}`);
+    } catch (error) {
+      console.error(`Error posting daily card for guild ${guildId}:`, error);
+    }
+  }
+}
+
+// 占い統計（serverを付けるとサーバー全体、管理者のみ）
+async function buildStatsReply(args, source, context) {
+  const { locale } = context;
+  const forGuild = args[0] === 'server';
+  const periodArg = forGuild ? args[1] : args[0];
+
+  if (forGuild && !context.guildId) {
+    return { content: `❌ ${t(locale, 'stats.guildOnly')}` };
+  }
+  if (forGuild && !isGuildAdmin(source)) {
+    return { content: `❌ ${t(locale, 'stats.adminOnly')}` };
+  }
+
+  const period = parsePeriod(periodArg, new Date(), locale);
+  if (!period) {
+    return { content: `❌ ${t(locale, 'stats.invalidPeriod')}` };
+  }
+
+  const filter = forGuild ? { guildId: context.guildId, since: period.since } : { userId: context.userId, since: period.since };
+  const records = await tarotBot.findReadings(filter);
+  const stats = computeStats(records, (result, record) => tarotBot.findCardForResult(result, record.options && record.options.pack));
+  const title = `${t(locale, forGuild ? 'stats.guildTitle' : 'stats.title')}${t(locale, 'common.parenthesized', { text: period.label })}`;
+  const spreadNameOf = key => tarotBot.getSpreadShortName(key, context);
+  const content = formatStats(stats, title, spreadNameOf, locale);
+
+  if (stats.readingCount === 0) {
+    return { content };
+  }
+
+  try {
+    const chart = renderStatsChart(stats, title, spreadNameOf, locale, tarotBot.getTheme(context));
+    return { content, files: [new AttachmentBuilder(chart, { name: 'stats.png' })] };
+  } catch (error) {
+    console.error('Stats chart generation failed:', error);
+    return { content };
+  }
+}
+
+// 占い結果から返信内容（テキストと画像）を作成
+// render はこの占いだけの画像の指定（theme・scale・revealed、省略時はサーバーのテーマで全部表向き）
+async function renderReadingReply(reading, locale = DEFAULT_LOCALE, render = {}) {
+  // テキスト結果を準備
+  const formattedResult = tarotBot.formatReading(reading, locale, { revealed: render.revealed, shareLink: render.shareLink });
+
+  // 画像を生成
+  console.log(`=== NEW BOT: Attempting to generate spread image ===`);
+  const imageBuffer = await tarotBot.generateSpreadImage(reading, locale, render);
+
+  if (!imageBuffer) {
+    console.log(`=== NEW BOT: Image generation failed, sending text only ===`);
+    return { content: `${formattedResult}\n\n⚠️ ${t(locale, 'reading.imageFailed')}` };
+  }
+
+  console.log(`=== NEW BOT: Image generated successfully, sending... ===`);
+  const attachment = new AttachmentBuilder(imageBuffer, { name: `${reading.spread}_spread.png` });
+  return { content: formattedResult, files: [attachment] };
+}
+
+// めくる途中の占いの返信（伏せたカードとボタン付き）
+async function renderRevealReply(session) {
+  const reply = await renderReadingReply(session.reading, session.locale, { ...session.render, revealed: session.revealed });
+  if (!isComplete(session)) {
+    reply.content = `${reply.content}\n\n🃏 ${t(session.locale, 'reveal.prompt')}`;
+  }
+  return { ...reply, components: buildRevealButtons(session) };
+}
+
+// めくるボタンの処理（押せるのは占った本人のみ）
+async function handleRevealButton(interaction, target) {
+  const session = revealSessions.get(target.readingId);
+  const locale = session ? session.locale : tarotBot.getLocale({ userId: interaction.user.id, guildId: interaction.guildId, clientLocale: interaction.locale });
+
+  if (!session) {
+    // 期限切れ・再起動後のボタンは無効化する
+    await interaction.update({ components: [] });
+    await interaction.followUp({ content: `⌛ ${t(locale, 'reveal.expired', { id: target.readingId })}`, ephemeral: true });
+    return;
+  }
+  if (interaction.user.id !== session.reading.userId) {
+    await interaction.reply({ content: `❌ ${t(locale, 'reveal.notOwner')}`, ephemeral: true });
+    return;
+  }
+
+  // 画像の生成に時間がかかることがあるため先に応答を保留
+  await interaction.deferUpdate();
+  if (target.action === 'all') {
+    revealAll(session);
+  } else {
+    revealNext(session);
+  }
+
+  const complete = isComplete(session);
+  if (complete) {
+    revealSessions.delete(target.readingId);
+  } else {
+    revealSessions.touch(session);
+  }
+
+  const { content, files = [], components } = await renderRevealReply(session);
+  const [first, ...rest] = splitMessage(content);
+  await interaction.editReply({ content: first, files, components, attachments: [] });
+  if (complete) {
+    for (const chunk of rest) {
+      await interaction.followUp({ content: chunk, ephemeral: interaction.message.flags.has('Ephemeral') });
+    }
+  }
+}
+
+// 占いを実行して返信内容を作成（seedを指定すると決まったカードを引く）
+// optionOverridesはこの占いだけのオプション（--majors など）、themeKey・hiresはこの占いの画像の指定
+// revealを指定すると伏せた状態で送り、ボタンで1枚ずつめくる
+// visibilityは共有ページの公開範囲（省略時はサーバー内なら unlisted、DMなら private）
+async function buildReadingReply(spreadName, question, { userId, guildId, locale }, { seed = null, optionOverrides = {}, themeKey = null, hires = false, reveal = false, visibility = null } = {}) {
+  if (tarotBot.cards.length === 0) {
+    return { content: `❌ ${t(locale, 'common.cardsLoading')}` };
+  }
+  if (themeKey && !tarotBot.themes[themeKey]) {
+    return { content: `❌ ${t(locale, 'theme.unknown', { name: themeKey, themes: Object.keys(tarotBot.themes).join(', ') })}` };
+  }
+
+  const spread = tarotBot.getSpread(spreadName, { userId, guildId });
+  const options = tarotBot.getReadingOptions({ userId, guildId }, optionOverrides);
+  const deckError = spread ? tarotBot.checkDeck(spread, options, locale) : null;
+  if (deckError) {
+    return { content: `❌ ${deckError}` };
+  }
+
+  const limited = checkReadingLimit({ userId, guildId, locale });
+  if (limited) {
+    return limited;
+  }
+
+  console.log(`=== NEW BOT: Performing reading for ${spreadName} ===`);
+  const reading = await tarotBot.performReading(spreadName, question, userId, { guildId, seed, options, locale, ...(visibility ? { visibility } : {}) });
+
+  if (!reading) {
+    return { content: `❌ ${t(locale, 'reading.spreadNotFound')}` };
+  }
+
+  const render = {
+    theme: tarotBot.getTheme({ guildId }, themeKey),
+    scale: hires ? HIRES_SCALE : 1
+  };
+  if (reveal) {
+    return renderRevealReply(revealSessions.create(reading, { locale, render }));
+  }
+  return renderReadingReply(reading, locale, render);
+}
+
+// 保存済みの占いを再表示（本人、または占ったサーバー内でのみ表示）
+// redactを指定すると質問を伏せる（サーバーのチャンネルに表示するとき）
+async function buildShowReply(readingId, { userId, guildId, locale, redact = false }) {
+  if (!readingId) {
+    return { content: `❌ ${t(locale, 'reading.idRequired', { command: 'show' })}` };
+  }
+
+  const reading = await tarotBot.getReading(readingId.toLowerCase());
+  const owner = tarotBot.isOwner(reading, userId);
+  const visible = owner || (reading && reading.guildId && reading.guildId === guildId);
+  if (!visible) {
+    return { content: `❌ ${t(locale, 'reading.notFound', { id: readingId })}` };
+  }
+
+  // 同じサーバーのほかの人の占いは、自分だけに見える返信でも質問・メモ・結果を伏せ、共有ページのリンクも付けない
+  return renderReadingReply(redact || !owner ? redactReading(reading, locale) : reading, locale, { shareLink: owner });
+}
+
+// カード・スプレッドを読み込み直し、入れ替えたらスラッシュコマンドの選択肢も更新する
+async function reloadData() {
+  const report = await tarotBot.reloadData();
+  if (report.applied && client.isReady()) {
+    await registerSlashCommands(client, tarotBot.spreads, tarotBot.themes, process.env.DISCORD_GUILD_ID, tarotBot.getPacks())
+      .catch(error => console.error('Error registering slash commands:', error));
+  }
+  return report;
+}
+
+// データの再読み込み（BOT_ADMIN_IDS のユーザーのみ、データは全サーバー共通なのでサーバーの管理者では足りない）
+async function buildReloadReply(context) {
+  const { locale } = context;
+  const botAdmins = (process.env.BOT_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (botAdmins.length === 0) {
+    return { content: `❌ ${t(locale, 'reload.notConfigured')}` };
+  }
+  if (!botAdmins.includes(context.userId)) {
+    return { content: `❌ ${t(locale, 'reload.adminOnly')}` };
+  }
+
+  return { content: formatReloadReport(await reloadData(), locale) };
+}
+
+// 共有ページの公開範囲の確認・変更（自分の占いのみ）
+async function buildShareReply(args, context) {
+  const { locale } = context;
+  const readingId = (args[0] || '').toLowerCase();
+  if (!readingId) {
+    return { content: `❌ ${t(locale, 'share.usage')}` };
+  }
+
+  const reading = await tarotBot.getReading(readingId);
+  if (!tarotBot.isOwner(reading, context.userId)) {
+    return { content: `❌ ${t(locale, 'reading.notFound', { id: readingId })}` };
+  }
+
+  const describe = record => {
+    const lines = [t(locale, 'share.current', { id: readingId, visibility: t(locale, `share.visibilities.${record.visibility || 'private'}`) })];
+    const url = getShareUrl(PUBLIC_BASE_URL, record);
+    if (url) {
+      lines.push(`🔗 ${url}`);
+    }
+    return lines.join('\n');
+  };
+
+  if (!args[1]) {
+    return { content: `🔗 ${describe(reading)}` };
+  }
+
+  const visibility = parseVisibility(args[1]);
+  if (!visibility) {
+    return { content: `❌ ${t(locale, 'share.usage')}` };
+  }
+  const updated = await tarotBot.updateReading(readingId, record => {
+    record.visibility = visibility;
+  });
+  if (!updated) {
+    return { content: `❌ ${t(locale, 'share.updateFailed')}` };
+  }
+  return { content: `✅ ${describe(updated)}` };
+}
+
+// 自分の占い記録をすべて削除（"confirm" を付けたときだけ削除し、なければ件数を確認する）
+async function buildForgetReply(args, context) {
+  const { locale } = context;
+  if (args[0] !== 'confirm') {
+    const records = await tarotBot.findReadings({ userId: context.userId });
+    return { content: records.length > 0 ? `⚠️ ${t(locale, 'forget.confirm', { count: records.length })}` : `📋 ${t(locale, 'forget.none')}` };
+  }
+
+  const deleted = await tarotBot.forgetUser(context.userId);
+  if (deleted === null) {
+    return { content: `❌ ${t(locale, 'forget.failed')}` };
+  }
+  // 削除した占いのリマインダーも消す
+  await settingsStore.updateUser(context.userId, settings => {
+    delete settings.reminders;
+  });
+  return { content: `🗑️ ${t(locale, 'forget.done', { count: deleted })}` };
+}
+
+// プライバシー設定の表示・占いを保存しない設定（"store on|off"）
+async function buildPrivacyReply(args, context) {
+  const { locale } = context;
+  if (args.length > 0) {
+    if (args[0] !== 'store' || !['on', 'off'].includes(args[1])) {
+      return { content: `❌ ${t(locale, 'privacy.usage')}` };
+    }
+    const store = args[1] === 'on';
+    await settingsStore.updateUser(context.userId, settings => {
+      if (store) {
+        delete settings.storeReadings;
+      } else {
+        settings.storeReadings = false;
+      }
+    });
+    return { content: `✅ ${t(locale, store ? 'privacy.storeEnabled' : 'privacy.storeDisabled')}` };
+  }
+
+  return {
+    content: t(locale, 'privacy.status', {
+      store: t(locale, isStorageDisabled(settingsStore.getUser(context.userId)) ? 'privacy.storeOff' : 'privacy.storeOn'),
+      idFormat: t(locale, tarotBot.userIdSalt ? 'privacy.hashed' : 'privacy.raw'),
+      redaction: t(locale, REDACT_GUILD_HISTORY ? 'privacy.redactionOn' : 'privacy.redactionOff')
+    })
+  };
+}
+
+// 占いのメモ・結果・リマインダー（自分の占いのみ）
+async function buildJournalReply(action, args, context) {
+  const { locale } = context;
+  const readingId = (args[0] || '').toLowerCase();
+  const text = args.slice(1).join(' ').trim();
+  if (!readingId) {
+    return { content: `❌ ${t(locale, 'reading.idRequired', { command: action })}` };
+  }
+
+  const reading = await tarotBot.getReading(readingId);
+  if (!tarotBot.isOwner(reading, context.userId)) {
+    return { content: `❌ ${t(locale, 'reading.notFound', { id: readingId })}` };
+  }
+
+  if (action === 'remind') {
+    const cancel = text === 'off' || text === '0';
+    const days = parseRemindDays(text);
+    if (!cancel && !days) {
+      return { content: `❌ ${t(locale, 'journal.invalidDays', { max: MAX_REMIND_DAYS })}` };
+    }
+
+    await settingsStore.updateUser(context.userId, settings => {
+      settings.reminders = (settings.reminders || []).filter(reminder => reminder.readingId !== readingId);
+      if (!cancel) {
+        settings.reminders.push(createReminder(readingId, days));
+      }
+    });
+    return { content: `⏰ ${cancel ? t(locale, 'journal.reminderCancelled', { id: readingId }) : t(locale, 'journal.reminderSet', { id: readingId, days })}` };
+  }
+
+  const error = validateText(text, locale);
+  if (error) {
+    return { content: `❌ ${error}` };
+  }
+
+  const updated = await tarotBot.updateReading(readingId, record => {
+    if (action === 'note') {
+      addNote(record, text);
+    } else {
+      setOutcome(record, text);
+    }
+  });
+  if (!updated) {
+    return { content: `❌ ${t(locale, 'journal.saveFailed')}` };
+  }
+
+  return { content: action === 'note' ? `📝 ${t(locale, 'journal.noteAdded', { id: readingId })}` : `🔚 ${t(locale, 'journal.outcomeSaved', { id: readingId })}` };
+}
+
+// 振り返りリマインダーのDM送信
+async function sendDueReminders() {
+  for (const { userId, readingId } of findDueReminders(settingsStore.data.users, new Date())) {
+    // 先に削除して、送信に失敗しても繰り返し送らないようにする
+    await settingsStore.updateUser(userId, settings => {
+      settings.reminders = (settings.reminders || []).filter(reminder => reminder.readingId !== readingId);
+    });
+
+    try {
+      const reading = await tarotBot.getReading(readingId);
+      if (!reading) {
+        continue;
+      }
+
+      const timeZone = tarotBot.getTimeZone({ userId });
+      const locale = tarotBot.getLocale({ userId });
+      const date = new Date(reading.timestamp).toLocaleDateString(getDateLocale(locale), { timeZone });
+      const user = await client.users.fetch(userId);
+      const content = `⏰ **${t(locale, 'journal.reminderTitle', { date })}**\n\n${tarotBot.formatReading(reading, locale)}\n${formatJournal(reading, timeZone, locale)}\n`
+        + t(locale, 'journal.reminderPrompt', { id: readingId });
+      for (const chunk of splitMessage(content)) {
+        await user.send(chunk);
+      }
+      console.log(`Sent reminder for reading ${readingId}`);
+    } catch (error) {
+      console.error(`Error sending reminder for reading ${readingId}:`, error);
+    }
+  }
+}
+
+// 表示言語の表示・設定（serverを付けるとサーバーの既定、管理者のみ）
+async function buildLanguageReply(args, source, context) {
+  const forGuild = args[0] === 'server';
+  const value = forGuild ? args[1] : args[0];
+  let { locale } = context;
+
+  if (forGuild && !context.guildId) {
+    return { content: `❌ ${t(locale, 'language.guildOnly')}` };
+  }
+  if (!value) {
+    return { content: `🌐 ${t(locale, 'language.current', { language: t(locale, 'language.name') + t(locale, 'common.parenthesized', { text: locale }), locales: describeLocales() })}` };
+  }
+  if (forGuild && !isGuildAdmin(source)) {
+    return { content: `❌ ${t(locale, 'language.adminOnly')}` };
+  }
+
+  const reset = value === 'reset';
+  const selected = normalizeLocale(value);
+  if (!reset && !selected) {
+    return { content: `❌ ${t(locale, 'language.unknown', { value, locales: describeLocales() })}` };
+  }
+
+  const updater = settings => {
+    if (reset) {
+      delete settings.locale;
+    } else {
+      settings.locale = selected;
+    }
+  };
+  if (forGuild) {
+    await settingsStore.updateGuild(context.guildId, updater);
+  } else {
+    await settingsStore.updateUser(context.userId, updater);
+  }
+
+  // 変更後の言語で返信する
+  locale = tarotBot.getLocale(context);
+  const scope = t(locale, forGuild ? 'language.scopeGuild' : 'language.scopeUser');
+  return { content: `✅ ${reset ? t(locale, 'language.reset', { scope }) : t(locale, 'language.set', { scope, language: t(selected, 'language.name') })}` };
+}
+
+// 画像のテーマの一覧・サーバーのテーマの変更（変更は管理者のみ）
+async function buildThemeReply(args, source, context) {
+  const { locale } = context;
+  const value = (args[0] || '').toLowerCase();
+
+  if (!value) {
+    const current = tarotBot.getTheme(context).key;
+    const list = Object.values(tarotBot.themes)
+      .map(theme => `• **${getThemeName(theme, locale)}** (${theme.key})${theme.key === current ? ' ✅' : ''}`)
+      .join('\n');
+    return { content: `🎨 **${t(locale, 'theme.listTitle')}**\n${list}\n\n${t(locale, 'theme.usage')}` };
+  }
+
+  if (!context.guildId) {
+    return { content: `❌ ${t(locale, 'theme.guildOnly')}` };
+  }
+  if (!isGuildAdmin(source)) {
+    return { content: `❌ ${t(locale, 'theme.adminOnly')}` };
+  }
+
+  if (value === 'reset') {
+    await settingsStore.updateGuild(context.guildId, settings => {
+      delete settings.theme;
+    });
+    return { content: `✅ ${t(locale, 'theme.reset')}` };
+  }
+
+  const theme = tarotBot.themes[value];
+  if (!theme) {
+    return { content: `❌ ${t(locale, 'theme.unknown', { name: value, themes: Object.keys(tarotBot.themes).join(', ') })}` };
+  }
+  await settingsStore.updateGuild(context.guildId, settings => {
+    settings.theme = theme.key;
+  });
+  return { content: `✅ ${t(locale, 'theme.set', { name: getThemeName(theme, locale) })}` };
+}
+
+// グループ占いの1枚（引いた人・位置・カード）
+function formatSessionDraw(session, index) {
+  const { reading, locale } = session;
+  const result = reading.results[index];
+  const card = localizeCard(result.card, locale);
+  const position = tarotBot.getPositionNames(reading, locale)[index];
+  return `🃏 <@${result.drawnBy}> → **${position}**: ${tarotBot.formatCardName(card, locale)}\n　└ *${getCardMeaning(card)}*`;
+}
+
+// 全員が引き終わったグループ占いを保存し、引いた人を添えた画像で表示
+async function finishSession(session) {
+  const { reading, locale } = session;
+  groupSessions.end(session.channelId);
+  reading.timestamp = new Date().toISOString();
+  await tarotBot.saveReading(reading);
+
+  const annotations = reading.results.map(result => session.names[result.drawnBy] || '');
+  const reply = await renderReadingReply(reading, locale, { annotations });
+  return { ...reply, content: `🎉 ${t(locale, 'session.finished')}\n\n${reply.content}` };
+}
+
+// グループ占いの操作をできない理由（できるならnull）
+// スラッシュコマンドでは応答を保留する前に確かめて、本人にだけ知らせる
+function findSessionError(action, source, context) {
+  const { locale, userId } = context;
+  if (!context.guildId) {
+    return { content: `❌ ${t(locale, 'session.guildOnly')}` };
+  }
+
+  const session = groupSessions.get(context.channelId);
+  if (!session) {
+    return ['join', 'draw', 'status', 'skip', 'end'].includes(action)
+      ? { content: `❌ ${t(locale, 'session.notRunning')}` }
+      : null;
+  }
+
+  switch (action) {
+    case 'start':
+      return { content: `❌ ${t(locale, 'session.alreadyRunning')}` };
+
+    case 'draw': {
+      const turn = currentTurn(session);
+      return turn !== userId ? { content: `❌ ${t(locale, 'session.notYourTurn', { user: session.names[turn] })}` } : null;
+    }
+
+    case 'skip':
+    case 'end':
+      return session.hostId !== userId && !isGuildAdmin(source) ? { content: `❌ ${t(locale, 'session.hostOnly')}` } : null;
+
+    default:
+      return null;
+  }
+}
+
+// グループ占い（start・join・draw・status・skip・end、チャンネルごとに1つ）
+async function buildSessionReply(args, source, context) {
+  const { locale, userId } = context;
+  const action = args[0];
+  const user = source.author || source.user;
+  const displayName = (source.member && source.member.displayName) || user.username;
+
+  const error = findSessionError(action, source, context);
+  if (error) {
+    return error;
+  }
+  const session = groupSessions.get(context.channelId);
+
+  switch (action) {
+    case 'start': {
+      if (tarotBot.cards.length === 0) {
+        return { content: `❌ ${t(locale, 'common.cardsLoading')}` };
+      }
+      const spreadName = args[1];
+      const spread = spreadName ? tarotBot.getSpread(spreadName, context) : null;
+      if (!spread) {
+        return { content: `❌ ${t(locale, 'reading.spreadNotFound')}\n${t(locale, 'session.usage')}` };
+      }
+      const options = tarotBot.getReadingOptions(context);
+      const deckError = tarotBot.checkDeck(spread, options, locale);
+      if (deckError) {
+        return { content: `❌ ${deckError}` };
+      }
+
+      const limited = checkReadingLimit(context);
+      if (limited) {
+        return limited;
+      }
+
+      const question = args.slice(2).join(' ') || t(locale, 'reading.noQuestion');
+      const reading = tarotBot.createReading(spreadName, question, userId, { guildId: context.guildId, options, locale });
+      groupSessions.start(context.channelId, { reading, hostId: userId, hostName: displayName, locale });
+      return {
+        content: `🎲 ${t(locale, 'session.started', {
+          host: `<@${userId}>`,
+          spread: tarotBot.getSpreadName(spreadName, context),
+          question,
+          count: spread.positions.length
+        })}`
+      };
+    }
+
+    case 'join':
+      if (!joinSession(session, userId, displayName)) {
+        return { content: `❌ ${t(locale, 'session.cannotJoin')}` };
+      }
+      groupSessions.touch(session);
+      return { content: `🙋 ${t(locale, 'session.joined', { user: `<@${userId}>`, count: session.participants.length })}` };
+
+    case 'draw': {
+      const index = drawNext(session, userId);
+      if (isFinished(session)) {
+        return finishSession(session);
+      }
+      groupSessions.touch(session);
+      return {
+        content: `${formatSessionDraw(session, index)}\n\n➡️ ${t(locale, 'session.nextTurn', { user: `<@${currentTurn(session)}>`, remaining: remainingDraws(session) })}`
+      };
+    }
+
+    case 'skip':
+      skipTurn(session);
+      groupSessions.touch(session);
+      return { content: `⏭️ ${t(locale, 'session.nextTurn', { user: `<@${currentTurn(session)}>`, remaining: remainingDraws(session) })}` };
+
+    case 'status': {
+      const turn = currentTurn(session);
+      const order = session.participants
+        .map((id, index) => `${index + 1}. ${session.names[id]}${id === turn ? ' ⬅️' : ''}`)
+        .join('\n');
+      const drawn = Array.from({ length: session.drawn }, (_, index) => formatSessionDraw(session, index)).join('\n');
+      return {
+        content: `🎲 **${tarotBot.getSpreadName(session.reading.spread, session.reading)}** - ${session.reading.question}\n` +
+          `${t(locale, 'session.progress', { drawn: session.drawn, total: session.reading.results.length })}\n\n` +
+          `**${t(locale, 'session.order')}**\n${order}${drawn ? `\n\n${drawn}` : ''}`
+      };
+    }
+
+    case 'end':
+      groupSessions.end(context.channelId);
+      return { content: `🛑 ${t(locale, 'session.ended')}` };
+
+    default:
+      return { content: `❌ ${t(locale, 'session.usage')}` };
+  }
+}
+
+// サーバー設定の表示・変更（管理者のみ）
+async function buildConfigReply(args, source, context) {
+  const { locale } = context;
+  if (!context.guildId) {
+    return { content: `❌ ${t(locale, 'config.guildOnly')}` };
+  }
+  if (!isGuildAdmin(source)) {
+    return { content: `❌ ${t(locale, 'config.adminOnly')}` };
+  }
+
+  const [setting, ...values] = args;
+  if (!setting) {
+    const config = getGuildConfig(settingsStore, context.guildId);
+    const guildOptions = settingsStore.getGuild(context.guildId).readingOptions;
+    const options = tarotBot.describeReadingOptions(resolveOptions(guildOptions), locale) || t(locale, 'options.standard');
+    return {
+      content: `⚙️ **${t(locale, 'config.title')}**\n${formatConfig(config, locale)}\n` +
+        `${t(locale, 'options.guildDefaults', { options })}\n\n${t(locale, 'config.usage')}`
+    };
+  }
+
+  const stored = settingsStore.getGuild(context.guildId).config || {};
+  const result = applyConfigChange(stored, setting, values, {
+    locale,
+    isSpread: key => Boolean(tarotBot.getSpread(key, context)) && !COMMAND_NAMES.includes(key)
+  });
+  if (result.error) {
+    return { content: `❌ ${result.error}` };
+  }
+
+  await settingsStore.updateGuild(context.guildId, settings => {
+    if (Object.keys(result.config).length > 0) {
+      settings.config = result.config;
+    } else {
+      delete settings.config;
+    }
+  });
+  return { content: `✅ ${t(locale, 'config.updated')}\n${formatConfig(getGuildConfig(settingsStore, context.guildId), locale)}` };
+}
+
+// 占いの回数制限を確認して記録（上限を超えていれば待ち時間の返信）
+function checkReadingLimit(context) {
+  const config = getGuildConfig(settingsStore, context.guildId);
+  const checks = [{ key: `user:${context.userId}`, limit: config.userLimit }];
+  if (context.guildId) {
+    checks.push({ key: `guild:${context.guildId}`, limit: config.guildLimit });
+  }
+
+  const result = rateLimiter.consume(checks);
+  return result.allowed ? null : { content: `⏳ ${t(context.locale, 'config.cooldown', { seconds: result.retryAfterSeconds })}` };
+}
+
+// スプレッド名として使えないコマンド名
+const COMMAND_NAMES = ['help', 'test', 'spreads', 'status', 'history', 'card', 'spread', 'custom', 'read', 'show', 'options', 'daily', 'stats', 'note', 'outcome', 'remind', 'language', 'theme', 'session', 'config', 'share', 'reload', 'forget', 'privacy', 'decks'];
+
+// メッセージ処理（!divine プレフィックスコマンド、スラッシュコマンド移行期間中も利用可能）
+if (ENABLE_PREFIX_COMMANDS) {
+  client.on('messageCreate', async (message) => {
+    if (message.author.bot) return;
+
+    // プレフィックス・使えるチャンネル・既定のスプレッドはサーバー設定による（DMでは既定値）
+    const config = getGuildConfig(settingsStore, message.guildId);
+    const commandText = stripPrefix(message.content, config.prefix);
+    if (commandText === null) return;
+
+    const args = [config.prefix, ...commandText.split(' ')];
+    if (!args[1] && config.defaultSpread) {
+      args[1] = config.defaultSpread;
+    }
+    const command = args[1];
+    const userId = message.author.id;
+    const context = { userId, guildId: message.guildId, channelId: message.channelId };
+    context.locale = tarotBot.getLocale(context);
+
+    // 許可されていないチャンネルでは反応しない（管理者の config だけは受け付ける）
+    if (message.guildId && !isChannelAllowed(config, message.channelId) && !(command === 'config' && isGuildAdmin(message))) {
+      return;
+    }
+
+    console.log(`=== NEW BOT: Received command: ${command} ===`);
+
+    try {
+      switch (command) {
+        case 'help':
+          await replyToMessage(message, { content: buildHelpMessage(context) });
+          break;
+
+        case 'test':
+          console.log('=== CANVAS TEST STARTED ===');
+          try {
+            const testCanvas = createCanvas(300, 200);
+            const testCtx = testCanvas.getContext('2d');
+            
+            testCtx.fillStyle = '#ff0000';
+            testCtx.fillRect(0, 0, 300, 200);
+            
+            testCtx.fillStyle = '#ffffff';
+            testCtx.font = '20px Arial';
+            testCtx.textAlign = 'center';
+            testCtx.fillText('Canvas Test OK!', 150, 100);
+            
+            const testBuffer = testCanvas.toBuffer('image/png');
+            const testAttachment = new AttachmentBuilder(testBuffer, { name: 'canvas_test.png' });
+            
+            await message.reply({ content: '✅ Canvas test successful!', files: [testAttachment] });
+            console.log('=== CANVAS TEST COMPLETED SUCCESSFULLY ===');
+          } catch (testError) {
+            console.error('Canvas test failed:', testError);
+            await message.reply(`❌ Canvas test failed: ${testError.message}`);
+          }
+          break;
+
+        case 'spreads':
+          await replyToMessage(message, { content: buildSpreadsMessage(context) });
+          break;
+
+        case 'decks':
+          await replyToMessage(message, { content: buildDecksMessage(context) });
+          break;
+
+        case 'status':
+          await message.reply(buildStatusMessage(context));
+          break;
+
+        case 'history':
+          await replyToMessage(message, await buildHistoryReply(args.slice(2).filter(Boolean), message, { ...context, redact: shouldRedact(context) }));
+          break;
+
+        case 'card':
+          await replyToMessage(message, await buildCardReply(args.slice(2).join(' ').trim(), context));
+          break;
+
+        case 'show':
+          await replyToMessage(message, await buildShowReply(args[2], { ...context, redact: shouldRedact(context) }));
+          break;
+
+        case 'forget':
+          await replyToMessage(message, await buildForgetReply(args.slice(2), context));
+          break;
+
+        case 'privacy':
+          await replyToMessage(message, await buildPrivacyReply(args.slice(2), context));
+          break;
+
+        case 'note':
+        case 'outcome':
+        case 'remind':
+          await replyToMessage(message, await buildJournalReply(command, args.slice(2), context));
+          break;
+
+        case 'share':
+          await replyToMessage(message, await buildShareReply(args.slice(2), context));
+          break;
+
+        case 'reload':
+          await replyToMessage(message, await buildReloadReply(context));
+          break;
+
+        case 'options':
+          await replyToMessage(message, { content: await buildOptionsReply(args.slice(2), message, context) });
+          break;
+
+        case 'language':
+          await replyToMessage(message, await buildLanguageReply(args.slice(2), message, context));
+          break;
+
+        case 'theme':
+          await replyToMessage(message, await buildThemeReply(args.slice(2), message, context));
+          break;
+
+        case 'session':
+          await replyToMessage(message, await buildSessionReply(args.slice(2), message, context));
+          break;
+
+        case 'config':
+          await replyToMessage(message, await buildConfigReply(args.slice(2), message, context));
+          break;
+
+        case 'daily':
+          await replyToMessage(message, await buildDailyCommandReply(args.slice(2), message, context));
+          break;
+
+        case 'stats':
+          await replyToMessage(message, await buildStatsReply(args.slice(2), message, context));
+          break;
+
+        case 'spread':
+          await replyToMessage(message, {
+            content: await buildCustomSpreadReply(args[2], args[3], args.slice(4).join(' '), message, context)
+          });
+          break;
+
+        default:
+          // スプレッド名のコマンドは占いとして扱う（シートに追加したスプレッドもそのまま使える）
+          if (tarotBot.getSpread(command, context)) {
+            const { flags, rest } = parseFlags(args.slice(2));
+            const question = rest.join(' ') || t(context.locale, 'reading.noQuestion');
+            const seed = typeof flags.seed === 'string' && flags.seed !== '' ? flags.seed : null;
+            const { options: optionOverrides, errors } = parseOptionFlags(flags, context.locale);
+            if (errors.length > 0) {
+              await message.reply(`❌ ${errors.join('\n')}`);
+              break;
+            }
+            const themeKey = typeof flags.theme === 'string' ? flags.theme.toLowerCase() : null;
+            const hires = Boolean(flags.hires);
+            const reveal = Boolean(flags.reveal);
+            await replyToMessage(message, await buildReadingReply(command, question, context, { seed, optionOverrides, themeKey, hires, reveal }));
+            break;
+          }
+
+          await message.reply(`❌ ${t(context.locale, 'common.unknownCommand')}`);
+      }
+    } catch (error) {
+      console.error('=== NEW BOT: Error processing command ===', error);
+      await message.reply(`❌ ${t(context.locale, 'common.error')}`);
+    }
+  });
+}
+
+// /divine history のオプションを !divine history の引数の形にする
+function buildHistorySlashArgs(interaction) {
+  const args = [];
+  const page = interaction.options.getInteger('page');
+  const spread = interaction.options.getString('spread');
+  const from = interaction.options.getString('from');
+  const to = interaction.options.getString('to');
+  const search = interaction.options.getString('search');
+  if (page) args.push('page', String(page));
+  if (spread) args.push('spread', spread);
+  if (from) args.push('from', from);
+  if (to) args.push('to', to);
+  if (search) args.push('search', ...search.split(' '));
+  return args;
+}
+
+// スラッシュコマンド処理（/divine）
+client.on('interactionCreate', async (interaction) => {
+  // 1枚ずつめくる占いのボタン
+  if (interaction.isButton()) {
+    const target = parseRevealCustomId(interaction.customId);
+    if (target) {
+      await handleRevealButton(interaction, target).catch(error => console.error('Error handling reveal button:', error));
+    }
+    return;
+  }
+
+  if (interaction.commandName !== 'divine') return;
+
+  const userId = interaction.user.id;
+  const context = { userId, guildId: interaction.guildId, channelId: interaction.channelId, clientLocale: interaction.locale };
+  context.locale = tarotBot.getLocale(context);
+
+  // カスタムスプレッド名の候補
+  if (interaction.isAutocomplete()) {
+    const typed = interaction.options.getFocused().toLowerCase();
+    const choices = Object.keys(getCustomSpreads(settingsStore, context))
+      .filter(key => key.includes(typed))
+      .slice(0, 25)
+      .map(key => ({ name: key, value: key }));
+    await interaction.respond(choices).catch(() => {});
+    return;
+  }
+
+  if (!interaction.isChatInputCommand()) return;
+
+  const subcommand = interaction.options.getSubcommand();
+  const ephemeral = interaction.options.getBoolean('private') ?? false;
+
+  console.log(`=== NEW BOT: Received slash command: ${subcommand} ===`);
+
+  // 許可されていないチャンネルでは本人にだけ知らせる（config は管理者がどこでも使える）
+  const config = getGuildConfig(settingsStore, interaction.guildId);
+  if (interaction.guildId && !isChannelAllowed(config, interaction.channelId) && subcommand !== 'config') {
+    await interaction.reply({ content: `❌ ${t(context.locale, 'config.channelNotAllowed')}`, ephemeral: true });
+    return;
+  }
+
+  try {
+    switch (subcommand) {
+      case 'help':
+        await replyToInteraction(interaction, { content: buildHelpMessage(context) }, ephemeral);
         break;
 
       case 'spreads':
-        const spreadsList = Object.keys(tarotBot.spreads)
-          .map(spread => {
-            const names = {
-              'one': 'ワンカード',
-              'three': 'スリーカード', 
-              'celt': 'ケルト十字',
-              'kantan': 'かんたんスプレッド',
-              'nitaku': '二択スプレッド',
-              'horse': 'ホースシュースプレッド'
-            };
-            return `• **${names[spread] || spread}** (${spread}): ${tarotBot.spreads[spread].length}枚`;
-          })
-          .join('\n');
-        await message.reply(`🔮 **利用可能なスプレッド:**\n${spreadsList}\n\n✨ **新機能**: 各スプレッドで視覚的なカード配置画像が生成されます！`);
+        await replyToInteraction(interaction, { content: buildSpreadsMessage(context) }, ephemeral);
+        break;
+
+      case 'decks':
+        await replyToInteraction(interaction, { content: buildDecksMessage(context) }, ephemeral);
         break;
 
       case 'status':
-        const uptime = Math.floor(process.uptime() / 60);
-        await message.reply(
-          `🤖 **ボット状態 (NEW VERSION):**\n` +
-          `稼働時間: ${uptime}分\n` +
-          `カード数: ${tarotBot.cards.length}/78\n` +
-          `スプレッド数: ${Object.keys(tarotBot.spreads).length}\n` +
-          `対応: サーバー・DM両方\n` +
-          `新機能: 動的画像生成、逆位置回転表示、視覚的スプレッド配置`
-        );
+        await replyToInteraction(interaction, { content: buildStatusMessage(context) }, ephemeral);
         break;
 
       case 'history':
-        const history = await tarotBot.getReadingHistory(userId, 5);
-        const formattedHistory = tarotBot.formatHistory(history);
-        await message.reply(formattedHistory);
+        await interaction.deferReply({ ephemeral });
+        await replyToInteraction(interaction, await buildHistoryReply(buildHistorySlashArgs(interaction), interaction, { ...context, redact: shouldRedact(context, ephemeral) }), ephemeral);
         break;
 
-      case 'one':
-      case 'three':
-      case 'celt':
-      case 'kantan':
-      case 'nitaku':
-      case 'horse':
-        const question = args.slice(2).join(' ') || '質問なし';
-        
-        if (tarotBot.cards.length === 0) {
-          await message.reply('❌ カードデータの読み込み中です。少し待ってから再試行してください。');
-          return;
-        }
+      case 'card':
+        await interaction.deferReply({ ephemeral });
+        await replyToInteraction(interaction, await buildCardReply(interaction.options.getString('name', true), context), ephemeral);
+        break;
 
-        console.log(`=== NEW BOT: Performing reading for ${command} ===`);
-        const reading = await tarotBot.performReading(command, question, userId);
-        
-        if (!reading) {
-          await message.reply('❌ 指定されたスプレッドが見つかりません。');
-          return;
-        }
+      case 'read':
+      case 'custom': {
+        const spreadName = interaction.options.getString(subcommand === 'read' ? 'spread' : 'name', true);
+        const question = interaction.options.getString('question') || t(context.locale, 'reading.noQuestion');
+        const seed = interaction.options.getString('seed');
+        const optionOverrides = {};
+        const pack = interaction.options.getString('pack');
+        const deck = interaction.options.getString('deck');
+        const reversals = interaction.options.getBoolean('reversals');
+        const reverseRate = interaction.options.getNumber('reverse_rate');
+        if (pack) optionOverrides.pack = pack;
+        if (deck) optionOverrides.deck = deck;
+        if (reversals !== null) optionOverrides.reversals = reversals;
+        if (reverseRate !== null) optionOverrides.reverseRate = reverseRate;
+        const themeKey = interaction.options.getString('theme');
+        const hires = Boolean(interaction.options.getBoolean('hires'));
+        const reveal = Boolean(interaction.options.getBoolean('reveal'));
+        // 自分だけに見える占いは共有ページも非公開にする
+        const visibility = ephemeral ? 'private' : null;
+        // 画像生成に3秒以上かかることがあるため先に応答を保留
+        await interaction.deferReply({ ephemeral });
+        await replyToInteraction(interaction, await buildReadingReply(spreadName, question, context, { seed, optionOverrides, themeKey, hires, reveal, visibility }), ephemeral);
+        break;
+      }
 
-        // テキスト結果を準備
-        const formattedResult = tarotBot.formatReading(reading);
-        
-        // 画像を生成
-        console.log(`=== NEW BOT: Attempting to generate spread image ===`);
-        const imageBuffer = await tarotBot.generateSpreadImage(reading);
-        
-        if (imageBuffer) {
-          console.log(`=== NEW BOT: Image generated successfully, sending... ===`);
-          const attachment = new AttachmentBuilder(imageBuffer, { name: `${command}_spread.png` });
-          
-          if (formattedResult.length > 2000) {
-            const lines = formattedResult.split('\n');
-            let currentMessage = '';
-            let isFirstMessage = true;
-            
-            for (const line of lines) {
-              if (currentMessage.length + line.length > 1900) {
-                if (isFirstMessage) {
-                  await message.reply({ content: currentMessage, files: [attachment] });
-                  isFirstMessage = false;
-                } else {
-                  await message.channel.send(currentMessage);
-                }
-                currentMessage = line + '\n';
-              } else {
-                currentMessage += line + '\n';
-              }
-            }
-            
-            if (currentMessage.trim()) {
-              await message.channel.send(currentMessage);
-            }
-          } else {
-            await message.reply({ content: formattedResult, files: [attachment] });
-          }
-        } else {
-          console.log(`=== NEW BOT: Image generation failed, sending text only ===`);
-          await message.reply(formattedResult + '\n\n⚠️ 画像の生成に失敗しました。テキストのみの表示です。');
+      case 'export':
+        await interaction.deferReply({ ephemeral: true });
+        await replyToInteraction(interaction, await buildHistoryExportReply(interaction.options.getString('format') || 'csv', interaction, context), true);
+        break;
+
+      case 'stats': {
+        const statsArgs = interaction.options.getBoolean('server') ? ['server'] : [];
+        const period = interaction.options.getString('period');
+        if (period) statsArgs.push(period);
+        await interaction.deferReply({ ephemeral });
+        await replyToInteraction(interaction, await buildStatsReply(statsArgs, interaction, context), ephemeral);
+        break;
+      }
+
+      case 'daily':
+        await interaction.deferReply({ ephemeral });
+        await replyToInteraction(interaction, await buildDailyReply(context), ephemeral);
+        break;
+
+      case 'note':
+      case 'outcome': {
+        const journalArgs = [interaction.options.getString('id', true), interaction.options.getString('text', true)];
+        await interaction.deferReply({ ephemeral: true });
+        await replyToInteraction(interaction, await buildJournalReply(subcommand, journalArgs, context), true);
+        break;
+      }
+
+      case 'reload':
+        await interaction.deferReply({ ephemeral: true });
+        await replyToInteraction(interaction, await buildReloadReply(context), true);
+        break;
+
+      case 'share': {
+        const shareArgs = [interaction.options.getString('id', true), interaction.options.getString('visibility')].filter(Boolean);
+        await interaction.deferReply({ ephemeral: true });
+        await replyToInteraction(interaction, await buildShareReply(shareArgs, context), true);
+        break;
+      }
+
+      case 'remind': {
+        const journalArgs = [interaction.options.getString('id', true), String(interaction.options.getInteger('days', true))];
+        await interaction.deferReply({ ephemeral: true });
+        await replyToInteraction(interaction, await buildJournalReply(subcommand, journalArgs, context), true);
+        break;
+      }
+
+      case 'language': {
+        const languageArgs = interaction.options.getBoolean('server') ? ['server'] : [];
+        const language = interaction.options.getString('language');
+        if (language) languageArgs.push(language);
+        await replyToInteraction(interaction, await buildLanguageReply(languageArgs, interaction, context), true);
+        break;
+      }
+
+      case 'config': {
+        const setting = interaction.options.getString('setting');
+        const value = interaction.options.getString('value');
+        const configArgs = setting ? [setting, ...(value ? value.trim().split(/\s+/) : [])] : [];
+        await replyToInteraction(interaction, await buildConfigReply(configArgs, interaction, context), true);
+        break;
+      }
+
+      case 'session': {
+        const question = interaction.options.getString('question');
+        const sessionArgs = [
+          interaction.options.getString('action', true),
+          interaction.options.getString('spread') || '',
+          ...(question ? [question] : [])
+        ];
+        // 順番でない・セッションがないなどはチャンネルに出さずに本人にだけ知らせる
+        const sessionError = findSessionError(sessionArgs[0], interaction, context);
+        if (sessionError) {
+          await replyToInteraction(interaction, sessionError, true);
+          break;
+        }
+        if (sessionArgs[0] === 'draw') {
+          // 最後の1枚では画像を生成するため先に応答を保留
+          await interaction.deferReply();
         }
+        await replyToInteraction(interaction, await buildSessionReply(sessionArgs, interaction, context));
         break;
+      }
+
+      case 'theme': {
+        const themeArgs = [interaction.options.getString('name')].filter(Boolean);
+        await replyToInteraction(interaction, await buildThemeReply(themeArgs, interaction, context), ephemeral);
+        break;
+      }
+
+      case 'show':
+        await interaction.deferReply({ ephemeral });
+        await replyToInteraction(interaction, await buildShowReply(interaction.options.getString('id', true), { ...context, redact: shouldRedact(context, ephemeral) }), ephemeral);
+        break;
+
+      case 'forget': {
+        const forgetArgs = interaction.options.getBoolean('confirm') ? ['confirm'] : [];
+        await interaction.deferReply({ ephemeral: true });
+        await replyToInteraction(interaction, await buildForgetReply(forgetArgs, context), true);
+        break;
+      }
+
+      case 'privacy': {
+        const store = interaction.options.getBoolean('store');
+        const privacyArgs = store === null ? [] : ['store', store ? 'on' : 'off'];
+        await replyToInteraction(interaction, await buildPrivacyReply(privacyArgs, context), true);
+        break;
+      }
 
       default:
-        await message.reply(
-          '❌ 不明なコマンドです。`!divine help`でヘルプを確認してください。\n' +
-          '新機能: 画像付きスプレッド表示も利用できます！'
-        );
+        await replyToInteraction(interaction, { content: `❌ ${t(context.locale, 'common.unknownSlashCommand')}` }, true);
     }
   } catch (error) {
-    console.error('=== NEW BOT: Error processing command ===', error);
-    await message.reply('❌ エラーが発生しました。しばらく待ってから再試行してください。');
+    console.error('=== NEW BOT: Error processing slash command ===', error);
+    const errorReply = { content: `❌ ${t(context.locale, 'common.error')}` };
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply(errorReply).catch(() => {});
+    } else {
+      await interaction.reply({ ...errorReply, ephemeral: true }).catch(() => {});
+    }
   }
 });
 
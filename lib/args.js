@@ -0,0 +1,19 @@
+// !divine コマンドの引数から --name=value 形式のフラグを取り出す
+// 例: ['--seed=abc', '仕事', 'について'] → { flags: { seed: 'abc' }, rest: ['仕事', 'について'] }
+function parseFlags(tokens) {
+  const flags = {};
+  const rest = [];
+
+  tokens.forEach(token => {
+    const match = token.match(/^--([a-z][a-z0-9-]*)(?:=(.*))?$/i);
+    if (match) {
+      flags[match[1].toLowerCase()] = match[2] === undefined ? true : match[2];
+    } else if (token !== '') {
+      rest.push(token);
+    }
+  });
+
+  return { flags, rest };
+}
+
+module.exports = { parseFlags };
@@ -0,0 +1,246 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_IMAGE_DIR = path.join(__dirname, '..', 'assets', 'cards');
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'data', 'image-cache');
+const DEFAULT_CACHE_MAX_BYTES = 200 * 1024 * 1024;
+const DEFAULT_MEMORY_LIMIT = 100;
+const FETCH_TIMEOUT_MS = 8000;
+// 取得に失敗した画像は、しばらく再取得しない（Driveが不調なときに毎回待たないため）
+const RETRY_AFTER_MS = 5 * 60 * 1000;
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+// canvas は画像を読むときに読み込む（カードデータの検証など、画像を描かない処理では使わない）
+function loadImage(source) {
+  return require('canvas').loadImage(source);
+}
+
+// Google DriveのファイルIDから公開URLを生成
+function getGoogleDriveImageUrl(fileId) {
+  return `https://drive.google.com/uc?id=${fileId}&export=download`;
+}
+
+// カードの画像の参照先（CardsシートE列: ローカルのファイル名・URL・DriveのファイルID）
+function resolveImageSource(card) {
+  const imageId = (card.imageId || '').trim();
+  if (imageId === '') {
+    return { file: null, url: null };
+  }
+  if (/^https?:\/\//i.test(imageId)) {
+    return { file: null, url: imageId };
+  }
+  if (IMAGE_EXTENSIONS.includes(path.extname(imageId).toLowerCase())) {
+    return { file: imageId, url: null };
+  }
+  return { file: null, url: getGoogleDriveImageUrl(imageId) };
+}
+
+async function fileExists(filePath) {
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+// カード画像の読み込み
+// ローカルのディレクトリ → ディスクキャッシュ → リモート（Drive・URL）の順に探し、
+// 読み込んだ画像はメモリにも件数上限付きで保持する（古いものから捨てる）
+class CardImageStore {
+  constructor({
+    directories = [DEFAULT_IMAGE_DIR],
+    cacheDir = DEFAULT_CACHE_DIR,
+    cacheMaxBytes = DEFAULT_CACHE_MAX_BYTES,
+    memoryLimit = DEFAULT_MEMORY_LIMIT
+  } = {}) {
+    this.directories = directories;
+    this.cacheDir = cacheDir;
+    this.cacheMaxBytes = cacheMaxBytes;
+    this.memoryLimit = memoryLimit;
+    this.images = new Map();
+    this.pending = new Map();
+    this.failures = new Map();
+    this.pruneQueue = Promise.resolve();
+  }
+
+  // 画像を取得（見つからない・読み込めない場合はnull）
+  // 同じカードの読み込みが進行中なら、その結果を待つ
+  async get(card) {
+    const key = card.id;
+    if (this.images.has(key)) {
+      const image = this.images.get(key);
+      // 最近使ったものを末尾に移す
+      this.images.delete(key);
+      this.images.set(key, image);
+      return image;
+    }
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const task = this.load(card)
+      .then(image => {
+        if (image) {
+          this.remember(key, image);
+        }
+        return image;
+      })
+      .finally(() => this.pending.delete(key));
+    this.pending.set(key, task);
+    return task;
+  }
+
+  // メモリ上の画像と取得失敗の記録を捨てる（カードデータを読み込み直したとき）
+  clear() {
+    this.images.clear();
+    this.failures.clear();
+  }
+
+  remember(key, image) {
+    this.images.set(key, image);
+    while (this.images.size > this.memoryLimit) {
+      this.images.delete(this.images.keys().next().value);
+    }
+  }
+
+  async load(card) {
+    const localPath = await this.findLocalFile(card);
+    if (localPath) {
+      return loadImage(localPath);
+    }
+
+    const { url } = resolveImageSource(card);
+    if (!url) {
+      return null;
+    }
+
+    const failedAt = this.failures.get(url);
+    if (failedAt && Date.now() - failedAt < RETRY_AFTER_MS) {
+      return null;
+    }
+
+    const cachePath = this.getCachePath(url);
+    if (await fileExists(cachePath)) {
+      try {
+        const image = await loadImage(cachePath);
+        // 最終利用時刻として更新日時を使う（容量超過時に古いものから消す）
+        const now = new Date();
+        await fs.utimes(cachePath, now, now).catch(() => {});
+        return image;
+      } catch (error) {
+        console.warn(`Broken cached image for ${card.name}, downloading again`);
+        await fs.unlink(cachePath).catch(() => {});
+      }
+    }
+
+    try {
+      const buffer = await this.download(url);
+      const image = await loadImage(buffer);
+      await this.writeCache(cachePath, buffer);
+      this.failures.delete(url);
+      console.log(`Downloaded image for ${card.name}: ${image.width}x${image.height}`);
+      return image;
+    } catch (error) {
+      this.failures.set(url, Date.now());
+      throw error;
+    }
+  }
+
+  // ローカルの画像（E列のファイル名、なければ <カードID>.png などを探す）
+  async findLocalFile(card) {
+    const { file } = resolveImageSource(card);
+    const names = file ? [file] : IMAGE_EXTENSIONS.map(extension => `${card.id}${extension}`);
+
+    for (const directory of this.directories) {
+      for (const name of names) {
+        const filePath = path.join(directory, name);
+        if (await fileExists(filePath)) {
+          return filePath;
+        }
+      }
+    }
+    return null;
+  }
+
+  getCachePath(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(this.cacheDir, hash);
+  }
+
+  async download(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`Image download failed: HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  // 一時ファイルに書いてから置き換え、書き込みのたびに容量を確認する
+  async writeCache(cachePath, buffer) {
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      const tempPath = `${cachePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, cachePath);
+    } catch (error) {
+      console.error('Error writing image cache:', error.message);
+      return;
+    }
+
+    this.pruneQueue = this.pruneQueue.then(() => this.prune()).catch(error => {
+      console.error('Error pruning image cache:', error.message);
+    });
+    await this.pruneQueue;
+  }
+
+  // 上限を超えていれば、使われていない（更新日時の古い）ものから削除
+  async prune() {
+    const names = await fs.readdir(this.cacheDir);
+    const files = [];
+    for (const name of names.filter(name => !name.endsWith('.tmp'))) {
+      const filePath = path.join(this.cacheDir, name);
+      const stat = await fs.stat(filePath).catch(() => null);
+      if (stat && stat.isFile()) {
+        files.push({ filePath, size: stat.size, mtime: stat.mtimeMs });
+      }
+    }
+
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    files.sort((a, b) => a.mtime - b.mtime);
+    for (const file of files) {
+      if (total <= this.cacheMaxBytes) {
+        break;
+      }
+      await fs.unlink(file.filePath).catch(() => {});
+      total -= file.size;
+    }
+  }
+
+  // 全カードの画像を先に読み込んでおく（同時に読み込む数を制限）
+  async preload(cards, concurrency = 4) {
+    const queue = [...cards];
+    let loaded = 0;
+    const worker = async () => {
+      while (queue.length > 0) {
+        const card = queue.shift();
+        try {
+          if (await this.get(card)) {
+            loaded += 1;
+          }
+        } catch (error) {
+          console.error(`Error preloading image for ${card.name}:`, error.message);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    return loaded;
+  }
+}
+
+module.exports = {
+  CardImageStore,
+  resolveImageSource,
+  getGoogleDriveImageUrl
+};
@@ -0,0 +1,201 @@
+const { SUPPORTED_LOCALES, DATA_LOCALE, t } = require('./i18n');
+
+// カードデータのモデルと検証
+// Cardsシートの列: A:ID B:名前 C:種類 D:正位置の意味 E:画像ID
+//                  F:逆位置の意味 G:キーワード（カンマ区切り） H:スート I:数 J:エレメント K:英語名
+//                  L:英語の正位置の意味 M:英語の逆位置の意味
+
+const UPRIGHT = '正位置';
+const REVERSED = '逆位置';
+
+// スートの正規化用（日本語・英語の表記ゆれ）
+const SUITS = [
+  { key: 'wands', label: 'ワンド', names: ['wands', 'wand', 'ワンド', '棒', '杖'], element: 'fire' },
+  { key: 'cups', label: 'カップ', names: ['cups', 'cup', 'カップ', '聖杯'], element: 'water' },
+  { key: 'swords', label: 'ソード', names: ['swords', 'sword', 'ソード', '剣'], element: 'air' },
+  { key: 'pentacles', label: 'ペンタクル', names: ['pentacles', 'pentacle', 'coins', 'ペンタクル', '金貨', 'コイン'], element: 'earth' }
+];
+
+const ELEMENTS = [
+  { key: 'fire', names: ['fire', '火'] },
+  { key: 'water', names: ['water', '水'] },
+  { key: 'air', names: ['air', '風'] },
+  { key: 'earth', names: ['earth', '地', '土'] }
+];
+
+// 小アルカナのコートカード（数は11〜14として扱う）
+const COURT_RANKS = [
+  { number: 11, names: ['ペイジ', 'ページ', '小姓', 'page'] },
+  { number: 12, names: ['ナイト', '騎士', 'knight'] },
+  { number: 13, names: ['クイーン', '女王', 'queen'] },
+  { number: 14, names: ['キング', '王', 'king'] }
+];
+
+const KANJI_NUMBERS = ['', '一', '二', '三', '四', '五', '六', '七', '八', '九', '十'];
+
+// 意味が空欄のカードに表示する文言
+const DEFAULT_MEANING = t(DATA_LOCALE, 'card.defaultMeaning');
+
+function findByName(table, value) {
+  if (!value) {
+    return null;
+  }
+  const normalized = value.trim().toLowerCase();
+  return table.find(entry => entry.names.some(name => normalized === name || normalized.includes(name))) || null;
+}
+
+// 小アルカナのカード名から数を読み取る（エース=1、ペイジ〜キング=11〜14）
+function detectNumber(name) {
+  const suitless = SUITS.reduce((text, suit) => suit.names.reduce((t, n) => t.replace(n, ''), text), name || '');
+
+  if (/エース|ace/i.test(suitless)) {
+    return 1;
+  }
+
+  const court = COURT_RANKS.find(rank => rank.names.some(word => suitless.toLowerCase().includes(word)));
+  if (court) {
+    return court.number;
+  }
+
+  const digits = suitless.normalize('NFKC').match(/\d+/);
+  if (digits) {
+    return parseInt(digits[0], 10);
+  }
+
+  const kanji = [...KANJI_NUMBERS].reverse().find(word => word && suitless.includes(word));
+  return kanji ? KANJI_NUMBERS.indexOf(kanji) : null;
+}
+
+// コートカード（ペイジ・ナイト・クイーン・キング）かどうか
+function isCourtCard(card) {
+  return Boolean(card.suit) && card.number >= 11;
+}
+
+// 大アルカナかどうか
+function isMajorArcana(card) {
+  return /大アルカナ|major/i.test(card.type || '');
+}
+
+function omitEmpty(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+}
+
+// 表示言語に合わせたカード（翻訳がない項目は元のまま）
+function localizeCard(card, locale) {
+  const translation = card.translations && card.translations[locale];
+  return translation ? { ...card, ...translation } : card;
+}
+
+// 保存済みの記録から復元できなかったカードの代わり（意味は各言語の既定の文言）
+function createPlaceholderCard({ id, name, pack }) {
+  const translations = {};
+  SUPPORTED_LOCALES.filter(locale => locale !== DATA_LOCALE).forEach(locale => {
+    translations[locale] = { meaning: t(locale, 'card.defaultMeaning') };
+  });
+  return { id, name, type: '', meaning: DEFAULT_MEANING, translations, pack };
+}
+
+// 向きに合った意味を返す（逆位置の意味がなければ正位置の意味）
+function getCardMeaning(card, orientation = card.position) {
+  if (orientation === REVERSED && card.reversedMeaning) {
+    return card.reversedMeaning;
+  }
+  return card.meaning;
+}
+
+// Cardsシートの1行をカードに変換
+// 戻り値の errors があればそのカードは使わない、warnings はログ出力のみ
+function parseCardRow(row, rowNumber) {
+  const errors = [];
+  const warnings = [];
+  const cell = index => (row[index] || '').toString().trim();
+
+  const id = Number(cell(0));
+  if (cell(0) === '' || !Number.isInteger(id)) {
+    errors.push(`row ${rowNumber}: invalid card ID "${cell(0)}"`);
+  }
+
+  const name = cell(1);
+  if (name === '') {
+    errors.push(`row ${rowNumber}: card name is empty`);
+  }
+
+  // 意味が空のカードは読み込み時の検証（dataValidation）で報告する
+  const meaning = cell(3);
+
+  const type = cell(2);
+  const major = isMajorArcana({ type });
+  const suit = major ? null : findByName(SUITS, cell(7)) || findByName(SUITS, name);
+  const element = findByName(ELEMENTS, cell(9)) || (suit ? ELEMENTS.find(e => e.key === suit.element) : null);
+
+  const number = cell(8) === '' ? (suit ? detectNumber(name) : null) : Number(cell(8));
+  if (number !== null && !Number.isInteger(number)) {
+    warnings.push(`row ${rowNumber}: ${name} has invalid number "${cell(8)}"`);
+  }
+
+  const card = {
+    id,
+    name,
+    type,
+    meaning: meaning || DEFAULT_MEANING,
+    imageId: cell(4) || null, // Google DriveのファイルID
+    reversedMeaning: cell(5) || null,
+    keywords: cell(6) === '' ? [] : cell(6).split(/[,、]/).map(k => k.trim()).filter(Boolean),
+    suit: suit ? suit.key : null,
+    number: Number.isInteger(number) ? number : null,
+    element: element ? element.key : null,
+    englishName: cell(10) || null,
+    // 表示言語ごとの名前・意味（K〜M列、空欄の項目は元の言語で表示）
+    translations: {
+      en: omitEmpty({ name: cell(10), meaning: cell(11), reversedMeaning: cell(12) })
+    }
+  };
+
+  return { card, errors, warnings };
+}
+
+// シートの行をまとめて変換し、IDの重複を除外
+function parseCardRows(rows) {
+  const cards = [];
+  const errors = [];
+  const warnings = [];
+  const seenIds = new Set();
+
+  rows.forEach((row, index) => {
+    // 1行目はヘッダー
+    const parsed = parseCardRow(row, index + 2);
+
+    if (parsed.errors.length > 0) {
+      errors.push(...parsed.errors);
+      return;
+    }
+    if (seenIds.has(parsed.card.id)) {
+      errors.push(`row ${index + 2}: duplicate card ID ${parsed.card.id}`);
+      return;
+    }
+
+    warnings.push(...parsed.warnings);
+    seenIds.add(parsed.card.id);
+    cards.push(parsed.card);
+  });
+
+  return { cards, errors, warnings };
+}
+
+module.exports = {
+  UPRIGHT,
+  REVERSED,
+  SUITS,
+  ELEMENTS,
+  COURT_RANKS,
+  KANJI_NUMBERS,
+  DEFAULT_MEANING,
+  detectNumber,
+  isCourtCard,
+  isMajorArcana,
+  getCardMeaning,
+  localizeCard,
+  createPlaceholderCard,
+  parseCardRow,
+  parseCardRows
+};
@@ -0,0 +1,155 @@
+// カード検索（ID・日本語名・英語名・部分一致・あいまい一致）
+
+const { SUITS, KANJI_NUMBERS, detectNumber } = require('./cardModel');
+
+// 大アルカナの英語名と日本語の表記ゆれ
+const MAJOR_ARCANA = [
+  { en: ['the fool', 'fool'], ja: ['愚者'] },
+  { en: ['the magician', 'magician'], ja: ['魔術師'] },
+  { en: ['the high priestess', 'high priestess', 'priestess'], ja: ['女教皇', '女司祭'] },
+  { en: ['the empress', 'empress'], ja: ['女帝'] },
+  { en: ['the emperor', 'emperor'], ja: ['皇帝'] },
+  { en: ['the hierophant', 'hierophant', 'the pope', 'pope'], ja: ['法王', '教皇'] },
+  { en: ['the lovers', 'lovers'], ja: ['恋人', '恋人たち'] },
+  { en: ['the chariot', 'chariot'], ja: ['戦車'] },
+  { en: ['strength'], ja: ['力', '力強さ'] },
+  { en: ['the hermit', 'hermit'], ja: ['隠者'] },
+  { en: ['wheel of fortune', 'the wheel of fortune', 'wheel'], ja: ['運命の輪'] },
+  { en: ['justice'], ja: ['正義'] },
+  { en: ['the hanged man', 'hanged man'], ja: ['吊るされた男', '吊された男'] },
+  { en: ['death'], ja: ['死神', '死'] },
+  { en: ['temperance'], ja: ['節制'] },
+  { en: ['the devil', 'devil'], ja: ['悪魔'] },
+  { en: ['the tower', 'tower'], ja: ['塔'] },
+  { en: ['the star', 'star'], ja: ['星'] },
+  { en: ['the moon', 'moon'], ja: ['月'] },
+  { en: ['the sun', 'sun'], ja: ['太陽'] },
+  { en: ['judgement', 'judgment'], ja: ['審判'] },
+  { en: ['the world', 'world'], ja: ['世界'] }
+];
+
+// 小アルカナの数の英語表記（11〜14はコートカード）
+const NUMBER_WORDS = ['', 'ace', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'page', 'knight', 'queen', 'king'];
+
+const MAX_SUGGESTIONS = 5;
+
+// 比較用に正規化（全角半角・大文字小文字・カタカナひらがな・空白と記号の違いを吸収）
+function normalize(text) {
+  return String(text)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+    .replace(/[\s・･\-_.,、。]/g, '');
+}
+
+// カードの英語名の候補を生成
+function getEnglishAliases(card) {
+  const name = card.name || '';
+  const englishName = card.englishName ? [card.englishName] : [];
+  const major = MAJOR_ARCANA.find(entry => entry.ja.includes(name));
+  if (major) {
+    return [...englishName, ...major.en];
+  }
+
+  const suit = SUITS.find(s => s.key === card.suit) || SUITS.find(s => s.names.some(word => name.includes(word)));
+  const number = suit ? (card.number || detectNumber(name)) : null;
+  const rank = NUMBER_WORDS[number];
+  if (!suit || !rank) {
+    return englishName;
+  }
+
+  const aliases = [...englishName, `${rank} of ${suit.key}`];
+  if (number > 1 && number <= 10) {
+    aliases.push(`${number} of ${suit.key}`);
+  }
+  return aliases;
+}
+
+// 「ソードの十」と「ソード10」のような表記ゆれ用の別表記
+function toLooseKey(key) {
+  return key
+    .replace(/の/g, '')
+    .replace(/[一二三四五六七八九十]/g, ch => String(KANJI_NUMBERS.indexOf(ch)));
+}
+
+// 検索に使うキー（正規化済み）
+function getSearchKeys(card) {
+  const major = MAJOR_ARCANA.find(entry => entry.ja.includes(card.name));
+  const keys = [card.name, ...(card.aliases || []), ...(major ? major.ja : []), ...getEnglishAliases(card)]
+    .filter(Boolean)
+    .map(normalize);
+  return [...new Set([...keys, ...keys.map(toLooseKey)])];
+}
+
+// レーベンシュタイン距離
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+// カードを検索
+// exact: 完全一致、partial: 部分一致、suggestions: 近い候補（どちらもない場合のみ）
+function searchCards(cards, query) {
+  const trimmed = String(query || '').trim();
+  const result = { exact: [], partial: [], suggestions: [] };
+  if (trimmed === '') {
+    return result;
+  }
+
+  // 数字だけならIDとして扱う
+  if (/^\d+$/.test(trimmed.normalize('NFKC'))) {
+    const id = parseInt(trimmed.normalize('NFKC'), 10);
+    result.exact = cards.filter(card => card.id === id);
+    if (result.exact.length > 0) {
+      return result;
+    }
+  }
+
+  const target = toLooseKey(normalize(trimmed));
+  const scored = [];
+
+  cards.forEach(card => {
+    const keys = getSearchKeys(card);
+    if (keys.includes(target)) {
+      result.exact.push(card);
+    } else if (keys.some(key => key.includes(target) || (target.length >= 2 && target.includes(key)))) {
+      result.partial.push(card);
+    } else {
+      const distance = Math.min(...keys.map(key => editDistance(key, target)));
+      scored.push({ card, distance });
+    }
+  });
+
+  if (result.exact.length === 0 && result.partial.length === 0) {
+    const threshold = Math.max(2, Math.floor(target.length * 0.4));
+    result.suggestions = scored
+      .filter(entry => entry.distance <= threshold)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(entry => entry.card);
+  }
+
+  return result;
+}
+
+module.exports = {
+  normalize,
+  getEnglishAliases,
+  searchCards
+};
@@ -0,0 +1,112 @@
+const { createSpreadEntry } = require('./spreadRegistry');
+const { SUPPORTED_LOCALES, DATA_LOCALE, DEFAULT_LOCALE, t } = require('./i18n');
+
+// ユーザー定義のスプレッド（サーバー内ではサーバーごと、DMではユーザーごとに保存）
+
+const KEY_PATTERN = /^[a-z0-9_-]{1,20}$/;
+const MAX_POSITIONS = 20;
+const MAX_POSITION_LENGTH = 30;
+const MAX_SPREADS_PER_SCOPE = 25;
+
+// 保存先（サーバー内ならサーバー、DMならユーザー）
+function getScope({ guildId, userId }) {
+  return guildId ? { scope: 'guilds', id: guildId } : { scope: 'users', id: userId };
+}
+
+// "位置1 | 位置2 | 位置3" 形式の引数を位置の配列に変換
+function parsePositions(text) {
+  return (text || '').split('|').map(position => position.trim()).filter(Boolean);
+}
+
+// 保存済みのカスタムスプレッドを取得
+function getCustomSpreads(settingsStore, context) {
+  const { scope, id } = getScope(context);
+  return settingsStore.get(scope, id).customSpreads || {};
+}
+
+// 保存されている中からキーで探す（constructor などObjectの組み込みの名前は保存されていない扱い）
+function findStoredSpread(customSpreads, key) {
+  return customSpreads && typeof key === 'string' && Object.hasOwn(customSpreads, key) ? customSpreads[key] : null;
+}
+
+// 保存済みのカスタムスプレッドを1つ取得（なければnull）
+function findCustomSpread(settingsStore, context, key) {
+  return findStoredSpread(getCustomSpreads(settingsStore, context), key);
+}
+
+// 登録情報の形式でカスタムスプレッドを取得
+function getCustomSpreadEntry(settingsStore, context, key) {
+  const stored = findCustomSpread(settingsStore, context, key);
+  if (!stored) {
+    return null;
+  }
+  const help = locale => t(locale, 'custom.help', { count: stored.positions.length });
+  const translations = Object.fromEntries(
+    SUPPORTED_LOCALES.filter(locale => locale !== DATA_LOCALE).map(locale => [locale, { help: help(locale) }])
+  );
+  return {
+    ...createSpreadEntry(key, stored.positions, { help: help(DATA_LOCALE) }, translations),
+    custom: true,
+    createdBy: stored.createdBy
+  };
+}
+
+// 作成・編集の入力チェック（問題があればエラーメッセージ、なければnull）
+function validateCustomSpread(key, positions, { reservedKeys, deckSize, locale = DEFAULT_LOCALE }) {
+  if (!KEY_PATTERN.test(key || '') || key === '__proto__') {
+    return t(locale, 'custom.invalidKey');
+  }
+  if (reservedKeys.has(key)) {
+    return t(locale, 'custom.reservedKey', { key });
+  }
+  if (positions.length === 0) {
+    return t(locale, 'custom.noPositions');
+  }
+  if (positions.length > Math.min(MAX_POSITIONS, deckSize)) {
+    return t(locale, 'custom.tooManyPositions', { max: Math.min(MAX_POSITIONS, deckSize), deckSize });
+  }
+  if (positions.some(position => position.length > MAX_POSITION_LENGTH)) {
+    return t(locale, 'custom.positionTooLong', { max: MAX_POSITION_LENGTH });
+  }
+  return null;
+}
+
+// カスタムスプレッドを保存（新規作成時は上限を確認）
+async function saveCustomSpread(settingsStore, context, key, positions) {
+  const { scope, id } = getScope(context);
+  return settingsStore.update(scope, id, settings => {
+    settings.customSpreads = settings.customSpreads || {};
+    const existing = findStoredSpread(settings.customSpreads, key);
+    if (!existing && Object.keys(settings.customSpreads).length >= MAX_SPREADS_PER_SCOPE) {
+      return false;
+    }
+    settings.customSpreads[key] = {
+      positions,
+      createdBy: existing ? existing.createdBy : context.userId,
+      updatedAt: new Date().toISOString()
+    };
+    return true;
+  });
+}
+
+async function deleteCustomSpread(settingsStore, context, key) {
+  const { scope, id } = getScope(context);
+  return settingsStore.update(scope, id, settings => {
+    if (!findStoredSpread(settings.customSpreads, key)) {
+      return false;
+    }
+    delete settings.customSpreads[key];
+    return true;
+  });
+}
+
+module.exports = {
+  MAX_SPREADS_PER_SCOPE,
+  parsePositions,
+  getCustomSpreads,
+  findCustomSpread,
+  getCustomSpreadEntry,
+  validateCustomSpread,
+  saveCustomSpread,
+  deleteCustomSpread
+};
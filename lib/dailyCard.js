@@ -0,0 +1,114 @@
+const { createSpreadEntry } = require('./spreadRegistry');
+
+// 今日のカード（ユーザーごとに1日1枚、サーバーのチャンネルへの定時投稿）
+
+const DEFAULT_TIMEZONE = process.env.DAILY_TIMEZONE || 'Asia/Tokyo';
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// 今日のカード用のスプレッド（Spreadsシートには載せない組み込みスプレッド）
+const DAILY_SPREAD = createSpreadEntry('daily', ['今日のカード'], {
+  name: '今日のカード',
+  shortName: '今日のカード',
+  description: '1日1枚のカード',
+  help: '今日のカード（1日1回、同じ日は同じカード）'
+}, {
+  en: {
+    name: 'Daily Card',
+    shortName: 'Daily Card',
+    description: 'One card a day',
+    help: 'Daily card (once a day, the same card all day)',
+    positions: ['Today\'s card']
+  }
+});
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 指定タイムゾーンでの日付（YYYY-MM-DD）と時刻（HH:MM）
+function getLocalDateTime(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+// 指定タイムゾーンでの日付（YYYY-MM-DD）の0時を表すDate（不正な日付ならnull）
+function startOfLocalDay(dateText, timeZone = DEFAULT_TIMEZONE) {
+  const match = (dateText || '').match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (!match) {
+    return null;
+  }
+
+  const utcMidnight = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (Number.isNaN(utcMidnight)) {
+    return null;
+  }
+
+  // UTCの0時が現地で何時になるかからオフセットを求める
+  const local = getLocalDateTime(new Date(utcMidnight), timeZone);
+  const [year, month, day] = local.date.split('-').map(Number);
+  const [hour, minute] = local.time.split(':').map(Number);
+  const offset = Date.UTC(year, month - 1, day, hour, minute) - utcMidnight;
+  return new Date(utcMidnight - offset);
+}
+
+// "7:30" → "07:30"（不正ならnull）
+function normalizeTime(text) {
+  const match = (text || '').match(TIME_PATTERN);
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+// ユーザーの今日のカードのシード（同じ日は同じカード）
+function getDailySeed(userId, localDate) {
+  return `daily:${userId}:${localDate}`;
+}
+
+// 定時投稿の時刻を過ぎていて、今日まだ投稿していないサーバー
+function findDueSchedules(guildSettings, now) {
+  const due = [];
+
+  Object.keys(guildSettings).forEach(guildId => {
+    const daily = guildSettings[guildId].daily;
+    if (!daily || !daily.channelId || !daily.time) {
+      return;
+    }
+
+    const timeZone = daily.timezone || DEFAULT_TIMEZONE;
+    const local = getLocalDateTime(now, timeZone);
+    if (local.time >= daily.time && daily.lastPostedDate !== local.date) {
+      due.push({ guildId, channelId: daily.channelId, localDate: local.date });
+    }
+  });
+
+  return due;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DAILY_SPREAD,
+  isValidTimeZone,
+  getLocalDateTime,
+  startOfLocalDay,
+  normalizeTime,
+  getDailySeed,
+  findDueSchedules
+};
@@ -0,0 +1,159 @@
+const { DEFAULT_MEANING } = require('./cardModel');
+const { resolveImageSource } = require('./cardImages');
+const { findSpread } = require('./spreadRegistry');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+// 読み込んだカード・スプレッド・デッキパックの検証（起動時と再読み込み時）
+// errors が1件でもあれば前のデータを使い続ける（デッキパックのエラーはそのパックだけ使わない）
+
+// Cardsシートのカードの枚数（0で確認しない、デッキパックの枚数は deck.json の cardCount）
+const EXPECTED_CARD_COUNT = Number(process.env.EXPECTED_CARD_COUNT || 78);
+
+// 報告に載せる件数の上限（Discordのメッセージが長くなりすぎないように）
+const MAX_REPORT_ITEMS = 15;
+
+const DRIVE_ID_PATTERN = /^[A-Za-z0-9_-]{10,}$/;
+
+function isValidUrl(text) {
+  try {
+    return Boolean(new URL(text));
+  } catch (error) {
+    return false;
+  }
+}
+
+// 連番の抜け（最小から最大までのうち、ないID）
+function findMissingIds(cards) {
+  const ids = new Set(cards.map(card => card.id));
+  const min = Math.min(...ids);
+  const max = Math.max(...ids);
+  const missing = [];
+  for (let id = min; id <= max; id++) {
+    if (!ids.has(id)) {
+      missing.push(id);
+    }
+  }
+  return missing;
+}
+
+// E列の画像の指定（URL・ローカルのファイル名・DriveのファイルID）が使えるか
+// findLocalFile はカードのローカル画像のパスを返す関数（CardImageStore.findLocalFile）
+async function validateImage(card, findLocalFile) {
+  if (!card.imageId) {
+    return null;
+  }
+  const { file, url } = resolveImageSource(card);
+  if (file) {
+    return (await findLocalFile(card)) ? null : `card ${card.id} (${card.name}): image file "${file}" not found`;
+  }
+  if (card.imageId !== url) {
+    return DRIVE_ID_PATTERN.test(card.imageId) ? null : `card ${card.id} (${card.name}): invalid image ID "${card.imageId}"`;
+  }
+  return isValidUrl(url) ? null : `card ${card.id} (${card.name}): invalid image URL "${url}"`;
+}
+
+// カードの枚数・IDの抜け・意味・画像の確認（見つかったものを errors に追加）
+async function validateCards(cards, { expectedCardCount, findLocalFile }, errors) {
+  if (cards.length === 0) {
+    errors.push('no cards loaded');
+  } else {
+    if (expectedCardCount > 0 && cards.length !== expectedCardCount) {
+      errors.push(`card count is ${cards.length}, expected ${expectedCardCount}`);
+    }
+    const missingIds = findMissingIds(cards);
+    if (missingIds.length > 0) {
+      errors.push(`missing card IDs: ${missingIds.join(', ')}`);
+    }
+  }
+
+  cards.forEach(card => {
+    if (!card.meaning || card.meaning === DEFAULT_MEANING) {
+      errors.push(`card ${card.id} (${card.name}): meaning is empty`);
+    }
+  });
+
+  for (const card of cards) {
+    const imageError = await validateImage(card, findLocalFile);
+    if (imageError) {
+      errors.push(imageError);
+    }
+  }
+}
+
+// data: { cards, spreads, cardErrors, cardWarnings }（cardErrors・cardWarnings は parseCardRows の結果）
+// 戻り値: { errors, warnings }
+async function validateDataSet(data, { expectedCardCount = EXPECTED_CARD_COUNT, findLocalFile = async () => null } = {}) {
+  const { cards, spreads } = data;
+  const errors = [...(data.cardErrors || [])];
+  const warnings = [...(data.cardWarnings || [])];
+
+  await validateCards(cards, { expectedCardCount, findLocalFile }, errors);
+
+  const spreadList = Object.values(spreads);
+  if (spreadList.length === 0) {
+    errors.push('no spreads loaded');
+  }
+  spreadList.forEach(spread => {
+    if (spread.positions.length === 0) {
+      errors.push(`spread ${spread.key}: no positions`);
+    } else if (spread.positions.length > cards.length) {
+      errors.push(`spread ${spread.key}: ${spread.positions.length} positions but only ${cards.length} cards`);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+// 追加のデッキパック（createPack の結果）の検証、報告には先頭にパックのキーを付ける
+// 使えるスプレッドに指定されたものが登録されていなければ警告、パックの枚数より多ければエラー
+async function validateDeckPack(pack, spreads, { findLocalFile = async () => null } = {}) {
+  const errors = [...pack.cardErrors];
+  const warnings = [...pack.cardWarnings];
+
+  await validateCards(pack.cards, { expectedCardCount: pack.cardCount, findLocalFile }, errors);
+
+  (pack.spreads || []).forEach(key => {
+    const spread = findSpread(spreads, key);
+    if (!spread) {
+      warnings.push(`unknown spread "${key}"`);
+    } else if (spread.positions.length > pack.cards.length) {
+      errors.push(`spread ${key}: ${spread.positions.length} positions but only ${pack.cards.length} cards`);
+    }
+  });
+
+  const withKey = items => items.map(item => `[${pack.key}] ${item}`);
+  return { errors: withKey(errors), warnings: withKey(warnings) };
+}
+
+function formatItems(items, locale) {
+  const lines = items.slice(0, MAX_REPORT_ITEMS).map(item => `・${item}`);
+  if (items.length > MAX_REPORT_ITEMS) {
+    lines.push(t(locale, 'reload.more', { count: items.length - MAX_REPORT_ITEMS }));
+  }
+  return lines;
+}
+
+// 再読み込みの結果の表示用
+// report: { applied, cards, spreads, decks, errors, deckErrors, warnings }（cards・spreads・decks は使っているデータの件数）
+function formatReloadReport(report, locale = DEFAULT_LOCALE) {
+  const counts = { cards: report.cards, spreads: report.spreads, decks: report.decks };
+  const lines = [report.applied ? `✅ ${t(locale, 'reload.applied', counts)}` : `❌ ${t(locale, 'reload.rejected', counts)}`];
+
+  if (report.errors.length > 0) {
+    lines.push('', `**${t(locale, 'reload.errors', { count: report.errors.length })}**`, ...formatItems(report.errors, locale));
+  }
+  if (report.deckErrors.length > 0) {
+    lines.push('', `**${t(locale, 'reload.deckErrors', { count: report.deckErrors.length })}**`, ...formatItems(report.deckErrors, locale));
+  }
+  if (report.warnings.length > 0) {
+    lines.push('', `**${t(locale, 'reload.warnings', { count: report.warnings.length })}**`, ...formatItems(report.warnings, locale));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  EXPECTED_CARD_COUNT,
+  validateDataSet,
+  validateDeckPack,
+  formatReloadReport
+};
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCardRows } = require('./cardModel');
+const { SUPPORTED_LOCALES, t } = require('./i18n');
+
+// デッキパック（タロット以外のデッキ: マルセイユ・ルノルマン・オラクルカードなど）
+// Cardsシートのカードは既定のパック "tarot"、それ以外は config/decks/<キー>/ のディレクトリか Decks シートから読み込む
+// パックごとにカード・画像・逆位置の有無・使えるスプレッドを持つ
+
+const DEFAULT_PACK = 'tarot';
+const DEFAULT_DECKS_DIR = path.join(__dirname, '..', 'config', 'decks');
+
+const PACK_KEY_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// cards.json の項目（Cardsシートの A〜M列と同じ順）
+const CARD_FIELDS = ['id', 'name', 'type', 'meaning', 'image', 'reversedMeaning', 'keywords', 'suit', 'number', 'element'];
+const TRANSLATED_FIELDS = ['name', 'meaning', 'reversedMeaning'];
+
+const TRUE_CELLS = ['true', 'on', 'yes', '1', 'あり'];
+const FALSE_CELLS = ['false', 'off', 'no', '0', 'なし'];
+
+function isPackKey(key) {
+  return typeof key === 'string' && PACK_KEY_PATTERN.test(key);
+}
+
+// シートのセルの真偽値（空欄・読めない値は既定値）
+function parseSwitchCell(value, fallback) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (TRUE_CELLS.includes(normalized)) {
+    return true;
+  }
+  if (FALSE_CELLS.includes(normalized)) {
+    return false;
+  }
+  return fallback;
+}
+
+// CSVを行の配列に（ダブルクォートで囲んだ値の中のカンマ・改行・"" に対応）
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// cards.json のカード1枚をCardsシートの行の形に
+function cardObjectToRow(card) {
+  const cell = value => {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return Array.isArray(value) ? value.join(',') : String(value);
+  };
+  const english = (card.translations && card.translations.en) || {};
+  return [
+    ...CARD_FIELDS.map(field => cell(card[field])),
+    ...TRANSLATED_FIELDS.map(field => cell(english[field]))
+  ];
+}
+
+// deck.json（またはDecksシートの行）の内容を検証して既定値で補う
+function normalizePackInfo(raw, errors) {
+  const info = {
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : null,
+    translations: {},
+    tarot: raw.tarot === true,
+    reversals: raw.reversals !== false,
+    spreads: null,
+    cardCount: 0,
+    imagesDir: typeof raw.images === 'string' && raw.images.trim() ? raw.images.trim() : 'images'
+  };
+
+  if (raw.translations && typeof raw.translations === 'object') {
+    SUPPORTED_LOCALES.forEach(locale => {
+      const translation = raw.translations[locale];
+      if (translation && typeof translation.name === 'string' && translation.name.trim()) {
+        info.translations[locale] = { name: translation.name.trim() };
+      }
+    });
+  }
+
+  if (raw.spreads !== undefined && raw.spreads !== null) {
+    if (!Array.isArray(raw.spreads) || raw.spreads.some(key => typeof key !== 'string' || key.trim() === '')) {
+      errors.push('spreads must be a list of spread names');
+    } else {
+      info.spreads = [...new Set(raw.spreads.map(key => key.trim()))];
+    }
+  }
+
+  if (raw.cardCount !== undefined && raw.cardCount !== null) {
+    if (!Number.isInteger(raw.cardCount) || raw.cardCount < 0) {
+      errors.push(`invalid card count "${raw.cardCount}"`);
+    } else {
+      info.cardCount = raw.cardCount;
+    }
+  }
+
+  return info;
+}
+
+// パックを組み立てる（parsed は parseCardRows の結果）
+// タロット以外のパックではスート・数・エレメントを使わない（傾向のまとめ・絞り込みの対象外）
+function createPack(key, info, parsed, { imageDir = null, source = 'directory' } = {}) {
+  const cards = parsed.cards.map(card => ({
+    ...card,
+    ...(info.tarot ? {} : { suit: null, number: null, element: null }),
+    pack: key,
+    tarot: info.tarot
+  }));
+
+  return {
+    key,
+    name: info.name || key,
+    translations: info.translations,
+    tarot: info.tarot,
+    reversals: info.reversals,
+    spreads: info.spreads,
+    cardCount: info.cardCount,
+    imageDir,
+    source,
+    cards,
+    cardsById: new Map(cards.map(card => [card.id, card])),
+    cardErrors: parsed.errors,
+    cardWarnings: parsed.warnings
+  };
+}
+
+// Cardsシートのカードから既定のパックを作る（名前は各言語のカタログから）
+function createDefaultPack(parsed, cardCount) {
+  const translations = {};
+  SUPPORTED_LOCALES.forEach(locale => {
+    translations[locale] = { name: t(locale, 'decks.tarotName') };
+  });
+  return createPack(DEFAULT_PACK, {
+    name: null,
+    translations,
+    tarot: true,
+    reversals: true,
+    spreads: null,
+    cardCount
+  }, parsed, { source: 'sheet' });
+}
+
+// ディレクトリ1つ分のパック（deck.json と cards.csv または cards.json）
+function loadPackDirectory(key, packDir) {
+  const errors = [];
+  const raw = JSON.parse(fs.readFileSync(path.join(packDir, 'deck.json'), 'utf8'));
+  const info = normalizePackInfo(raw, errors);
+
+  const csvPath = path.join(packDir, 'cards.csv');
+  const jsonPath = path.join(packDir, 'cards.json');
+  let rows;
+  if (fs.existsSync(csvPath)) {
+    // 1行目はヘッダー（Cardsシートと同じ）
+    rows = parseCsv(fs.readFileSync(csvPath, 'utf8')).slice(1);
+  } else if (fs.existsSync(jsonPath)) {
+    const cards = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    if (!Array.isArray(cards)) {
+      throw new Error('cards.json must be a list of cards');
+    }
+    rows = cards.map(cardObjectToRow);
+  } else {
+    throw new Error('cards.csv or cards.json not found');
+  }
+
+  const parsed = parseCardRows(rows);
+  const pack = createPack(key, info, parsed, { imageDir: path.resolve(packDir, info.imagesDir) });
+  pack.cardErrors = [...errors, ...pack.cardErrors];
+  return pack;
+}
+
+// ディレクトリ内のパックをすべて読み込む（deck.json のあるサブディレクトリが1パック）
+// 読めなかったパックは errors に入れて、ほかのパックは読み込む
+function loadPacksFromDirectory(decksDir = DEFAULT_DECKS_DIR) {
+  const packs = [];
+  const errors = [];
+  if (!fs.existsSync(decksDir)) {
+    return { packs, errors };
+  }
+
+  fs.readdirSync(decksDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(decksDir, entry.name, 'deck.json')))
+    .forEach(entry => {
+      const key = entry.name;
+      if (!isPackKey(key) || key === DEFAULT_PACK) {
+        errors.push(`[${key}] invalid deck directory name (use a-z, 0-9, "-" and "_", not "${DEFAULT_PACK}")`);
+        return;
+      }
+      try {
+        packs.push(loadPackDirectory(key, path.join(decksDir, key)));
+      } catch (error) {
+        errors.push(`[${key}] failed to read deck: ${error.message}`);
+      }
+    });
+
+  return { packs, errors };
+}
+
+// Decksシートの行をパックの情報に
+// 列: A:キー B:名前 C:英語名 D:カードのシート名 E:逆位置（あり/なし） F:使えるスプレッド（カンマ区切り、空欄ならすべて） G:枚数 H:タロットか
+function parseDeckRows(rows) {
+  const entries = [];
+  const errors = [];
+  const seen = new Set();
+
+  rows.forEach((row, index) => {
+    const cell = column => (row[column] || '').toString().trim();
+    const key = cell(0).toLowerCase();
+    if (key === '') {
+      return;
+    }
+    if (!isPackKey(key) || key === DEFAULT_PACK || seen.has(key)) {
+      errors.push(`Decks row ${index + 2}: invalid or duplicate deck key "${cell(0)}"`);
+      return;
+    }
+    if (cell(3) === '') {
+      errors.push(`[${key}] Decks row ${index + 2}: cards sheet name is empty`);
+      return;
+    }
+
+    const infoErrors = [];
+    const info = normalizePackInfo({
+      name: cell(1),
+      translations: cell(2) ? { en: { name: cell(2) } } : undefined,
+      tarot: parseSwitchCell(cell(7), false),
+      reversals: parseSwitchCell(cell(4), true),
+      spreads: cell(5) ? cell(5).split(/[,、]/).map(name => name.trim()).filter(Boolean) : null,
+      cardCount: cell(6) === '' ? 0 : Number(cell(6))
+    }, infoErrors);
+    seen.add(key);
+    // 内容のエラーはパックの検証で報告する（そのパックだけ読み込まない）
+    entries.push({ key, info, sheetName: cell(3), errors: infoErrors });
+  });
+
+  return { entries, errors };
+}
+
+// Decksシートのパック（entry は parseDeckRows の結果、parsed はカードのシートの parseCardRows の結果）
+// 画像はディレクトリのパックと同じく <decksDir>/<キー>/images から探す
+function createSheetPack(entry, parsed, decksDir = DEFAULT_DECKS_DIR) {
+  const pack = createPack(entry.key, entry.info, parsed, {
+    imageDir: path.join(decksDir, entry.key, entry.info.imagesDir),
+    source: 'sheet'
+  });
+  pack.cardErrors = [...(entry.errors || []), ...pack.cardErrors];
+  return pack;
+}
+
+// 表示言語でのパック名
+function getPackName(pack, locale) {
+  const translation = pack.translations && pack.translations[locale];
+  return (translation && translation.name) || pack.name;
+}
+
+// パックでスプレッドを使えるか（カスタムスプレッドはいつでも使える）
+function isSpreadCompatible(pack, spread) {
+  return !pack.spreads || Boolean(spread.custom) || pack.spreads.includes(spread.key);
+}
+
+// パックに合わせたオプション
+// タロット以外は大アルカナ・スートで絞り込まず、逆位置のないパックは逆位置を使わない
+function applyPackRules(options, pack) {
+  if (!pack) {
+    return options;
+  }
+  return {
+    ...options,
+    ...(pack.tarot ? {} : { deck: 'all', suits: [] }),
+    ...(pack.reversals ? {} : { reversals: false })
+  };
+}
+
+module.exports = {
+  DEFAULT_PACK,
+  DEFAULT_DECKS_DIR,
+  isPackKey,
+  parseCsv,
+  createDefaultPack,
+  loadPacksFromDirectory,
+  parseDeckRows,
+  createSheetPack,
+  getPackName,
+  isSpreadCompatible,
+  applyPackRules
+};
@@ -0,0 +1,115 @@
+// チャンネルでのグループ占い（参加者が順番に1枚ずつ引く）
+// 状態はメモリ上にチャンネルごとに持ち、一定時間操作がなければ onTimeout を呼んで破棄する
+// カードは開始時に引いておき、順番が来た人が次の位置を表にする
+
+const SESSION_IDLE_MS = 10 * 60 * 1000;
+const MAX_PARTICIPANTS = 20;
+
+class GroupSessionStore {
+  constructor({ idleMs = SESSION_IDLE_MS, onTimeout = () => {} } = {}) {
+    this.idleMs = idleMs;
+    this.onTimeout = onTimeout;
+    this.sessions = new Map();
+  }
+
+  get(channelId) {
+    return this.sessions.get(channelId) || null;
+  }
+
+  // 開始した人が最初の参加者（最初の順番）になる
+  start(channelId, { reading, hostId, hostName, locale }) {
+    const session = {
+      channelId,
+      reading,
+      hostId,
+      locale,
+      participants: [hostId],
+      names: { [hostId]: hostName },
+      turn: 0,
+      turnsTaken: 0,
+      drawn: 0,
+      timer: null
+    };
+    this.sessions.set(channelId, session);
+    this.touch(session);
+    return session;
+  }
+
+  // 操作されるたびに期限を延ばす
+  touch(session) {
+    clearTimeout(session.timer);
+    session.timer = setTimeout(() => {
+      this.end(session.channelId);
+      this.onTimeout(session);
+    }, this.idleMs);
+    session.timer.unref();
+  }
+
+  end(channelId) {
+    const session = this.sessions.get(channelId);
+    if (session) {
+      clearTimeout(session.timer);
+      this.sessions.delete(channelId);
+    }
+  }
+}
+
+// 参加（追加できたらtrue、参加済み・満員ならfalse）
+// 順番が最後の参加者から先頭に戻ったところで参加した人は、先頭より先に引く
+// （ホストが1人で引いたあとに参加した人がホストの後ろで待たされないように）
+function joinSession(session, userId, name) {
+  if (session.participants.includes(userId) || session.participants.length >= MAX_PARTICIPANTS) {
+    return false;
+  }
+  session.participants.push(userId);
+  session.names[userId] = name;
+  if (session.turnsTaken > 0 && session.turn === 0) {
+    session.turn = session.participants.length - 1;
+  }
+  return true;
+}
+
+// 次の人の順番にする
+function advanceTurn(session) {
+  session.turn = (session.turn + 1) % session.participants.length;
+  session.turnsTaken += 1;
+}
+
+// 今の順番の参加者
+function currentTurn(session) {
+  return session.participants[session.turn % session.participants.length];
+}
+
+// 順番の人が次の位置を引く（引いた位置の番号）
+function drawNext(session, userId) {
+  const index = session.drawn;
+  session.reading.results[index].drawnBy = userId;
+  session.drawn += 1;
+  advanceTurn(session);
+  return index;
+}
+
+// 今の順番を飛ばす（引かずに次の人へ）
+function skipTurn(session) {
+  advanceTurn(session);
+}
+
+function remainingDraws(session) {
+  return session.reading.results.length - session.drawn;
+}
+
+function isFinished(session) {
+  return remainingDraws(session) === 0;
+}
+
+module.exports = {
+  SESSION_IDLE_MS,
+  MAX_PARTICIPANTS,
+  GroupSessionStore,
+  joinSession,
+  currentTurn,
+  drawNext,
+  skipTurn,
+  remainingDraws,
+  isFinished
+};
@@ -0,0 +1,182 @@
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+// サーバーごとの設定（使えるチャンネル・コマンドのプレフィックス・管理者ロール・回数制限・既定のスプレッド）
+// サーバー設定の config に、既定値と違う項目だけを保存する
+
+const DEFAULT_PREFIX = process.env.COMMAND_PREFIX || '!divine';
+
+// 1分あたりの占いの上限（0で無制限）
+const DEFAULT_USER_LIMIT = Number(process.env.RATE_LIMIT_PER_USER || 5);
+const DEFAULT_GUILD_LIMIT = Number(process.env.RATE_LIMIT_PER_GUILD || 30);
+const MAX_LIMIT = 1000;
+
+const PREFIX_PATTERN = /^\S{1,20}$/;
+const MAX_CHANNELS = 25;
+const MAX_ADMIN_ROLES = 10;
+
+const DEFAULT_CONFIG = {
+  prefix: DEFAULT_PREFIX,
+  allowedChannels: [], // 空ならすべてのチャンネル
+  adminRoles: [], // サーバー管理権限に加えて管理者コマンドを使えるロール
+  userLimit: DEFAULT_USER_LIMIT,
+  guildLimit: DEFAULT_GUILD_LIMIT,
+  defaultSpread: null // プレフィックスだけのコマンドで使うスプレッド
+};
+
+function getGuildConfig(settingsStore, guildId) {
+  const stored = guildId ? settingsStore.getGuild(guildId).config : null;
+  return { ...DEFAULT_CONFIG, ...stored };
+}
+
+// "<#123>" や "123" からチャンネルID（不正ならnull）
+function parseChannelId(text) {
+  const match = (text || '').match(/^(?:<#(\d+)>|(\d{15,20}))$/);
+  return match ? match[1] || match[2] : null;
+}
+
+// "<@&123>" や "123" からロールID（不正ならnull）
+function parseRoleId(text) {
+  const match = (text || '').match(/^(?:<@&(\d+)>|(\d{15,20}))$/);
+  return match ? match[1] || match[2] : null;
+}
+
+// メッセージがプレフィックスで始まっていれば残りの部分（空文字を含む）、違えばnull
+function stripPrefix(content, prefix) {
+  if (content === prefix) {
+    return '';
+  }
+  return content.startsWith(`${prefix} `) ? content.slice(prefix.length + 1) : null;
+}
+
+function isChannelAllowed(config, channelId) {
+  return config.allowedChannels.length === 0 || config.allowedChannels.includes(channelId);
+}
+
+// 管理者ロールを持っているか（メッセージのメンバーはroles.cache、スラッシュコマンドではIDの配列のことがある）
+function hasAdminRole(config, member) {
+  if (!member || !member.roles || config.adminRoles.length === 0) {
+    return false;
+  }
+  const { roles } = member;
+  return config.adminRoles.some(roleId => (Array.isArray(roles) ? roles.includes(roleId) : roles.cache.has(roleId)));
+}
+
+function parseLimit(text) {
+  if (!/^\d{1,4}$/.test(text || '')) {
+    return null;
+  }
+  const limit = parseInt(text, 10);
+  return limit <= MAX_LIMIT ? limit : null;
+}
+
+// ID一覧の追加・削除・全削除（"add <ID...>" / "remove <ID...>" / "clear"）
+function updateIdList(current, args, parseId, max, locale) {
+  const [action, ...targets] = args;
+  if (action === 'clear') {
+    return { value: [] };
+  }
+
+  const ids = targets.map(parseId);
+  if (!['add', 'remove'].includes(action) || ids.length === 0 || ids.includes(null)) {
+    return { error: t(locale, 'config.invalidIds') };
+  }
+
+  const value = action === 'add'
+    ? [...new Set([...current, ...ids])]
+    : current.filter(id => !ids.includes(id));
+  if (value.length > max) {
+    return { error: t(locale, 'config.tooMany', { max }) };
+  }
+  return { value };
+}
+
+// 設定項目を変更した stored（サーバー設定の config）を返す
+// isSpread はスプレッド名が使えるかを確かめる関数
+function applyConfigChange(stored, setting, args, { locale = DEFAULT_LOCALE, isSpread = () => true } = {}) {
+  const config = { ...DEFAULT_CONFIG, ...stored };
+  const next = { ...stored };
+  const value = args[0];
+  const reset = field => {
+    delete next[field];
+    return { config: next };
+  };
+
+  switch (setting) {
+    case 'channels':
+    case 'admin-roles': {
+      const field = setting === 'channels' ? 'allowedChannels' : 'adminRoles';
+      const parsed = setting === 'channels'
+        ? updateIdList(config.allowedChannels, args, parseChannelId, MAX_CHANNELS, locale)
+        : updateIdList(config.adminRoles, args, parseRoleId, MAX_ADMIN_ROLES, locale);
+      if (parsed.error) {
+        return parsed;
+      }
+      if (parsed.value.length === 0) {
+        return reset(field);
+      }
+      next[field] = parsed.value;
+      return { config: next };
+    }
+
+    case 'prefix':
+      if (value === 'reset') {
+        return reset('prefix');
+      }
+      if (!PREFIX_PATTERN.test(value || '')) {
+        return { error: t(locale, 'config.invalidPrefix') };
+      }
+      next.prefix = value;
+      return { config: next };
+
+    case 'user-limit':
+    case 'guild-limit': {
+      const field = setting === 'user-limit' ? 'userLimit' : 'guildLimit';
+      if (value === 'reset') {
+        return reset(field);
+      }
+      const limit = parseLimit(value);
+      if (limit === null) {
+        return { error: t(locale, 'config.invalidLimit', { max: MAX_LIMIT }) };
+      }
+      next[field] = limit;
+      return { config: next };
+    }
+
+    case 'default-spread':
+      if (value === 'reset') {
+        return reset('defaultSpread');
+      }
+      if (!value || !isSpread(value)) {
+        return { error: t(locale, 'config.unknownSpread', { key: value || '' }) };
+      }
+      next.defaultSpread = value;
+      return { config: next };
+
+    default:
+      return { error: t(locale, 'config.usage') };
+  }
+}
+
+// 設定一覧の表示用
+function formatConfig(config, locale = DEFAULT_LOCALE) {
+  const none = t(locale, 'config.none');
+  const limit = value => (value > 0 ? t(locale, 'config.perMinute', { count: value }) : t(locale, 'config.unlimited'));
+  return [
+    `prefix: \`${config.prefix}\``,
+    `channels: ${config.allowedChannels.length > 0 ? config.allowedChannels.map(id => `<#${id}>`).join(' ') : t(locale, 'config.allChannels')}`,
+    `admin-roles: ${config.adminRoles.length > 0 ? config.adminRoles.map(id => `<@&${id}>`).join(' ') : none}`,
+    `user-limit: ${limit(config.userLimit)}`,
+    `guild-limit: ${limit(config.guildLimit)}`,
+    `default-spread: ${config.defaultSpread || none}`
+  ].join('\n');
+}
+
+module.exports = {
+  DEFAULT_PREFIX,
+  getGuildConfig,
+  stripPrefix,
+  isChannelAllowed,
+  hasAdminRole,
+  applyConfigChange,
+  formatConfig
+};
@@ -0,0 +1,106 @@
+const { startOfLocalDay } = require('./dailyCard');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+// 占い履歴の閲覧（ページ送り・絞り込み）とエクスポート
+
+const PAGE_SIZE = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "page 2 spread celt from 2024-01-01 to 2024-01-31 search 仕事" を条件に変換
+function parseHistoryArgs(tokens, timeZone, locale = DEFAULT_LOCALE) {
+  const query = { page: 1, filter: {} };
+  const errors = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const value = tokens[i + 1];
+    switch (tokens[i]) {
+      case 'page': {
+        const page = parseInt(value, 10);
+        if (!Number.isInteger(page) || page < 1) {
+          errors.push(t(locale, 'history.invalidPage'));
+        } else {
+          query.page = page;
+        }
+        i++;
+        break;
+      }
+
+      case 'spread':
+        query.filter.spread = value;
+        i++;
+        break;
+
+      case 'from':
+      case 'to': {
+        const start = startOfLocalDay(value, timeZone);
+        if (!start) {
+          errors.push(t(locale, 'history.invalidDate', { value: value || '' }));
+        } else if (tokens[i] === 'from') {
+          query.filter.since = start;
+        } else {
+          query.filter.until = new Date(start.getTime() + DAY_MS);
+        }
+        i++;
+        break;
+      }
+
+      case 'search':
+        query.filter.keyword = tokens.slice(i + 1).join(' ');
+        i = tokens.length;
+        break;
+
+      default:
+        errors.push(t(locale, 'history.unknownCondition', { token: tokens[i] }));
+    }
+  }
+
+  return { query, errors };
+}
+
+// ページ分割
+function paginate(records, page, pageSize = PAGE_SIZE) {
+  const totalPages = Math.max(1, Math.ceil(records.length / pageSize));
+  const current = Math.min(page, totalPages);
+  return {
+    items: records.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    totalPages,
+    total: records.length,
+    offset: (current - 1) * pageSize
+  };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV（1行1占い、カードとメモは " / " でつなぐ）
+function toCsv(records, spreadNameOf) {
+  const header = ['id', 'timestamp', 'spread', 'spread_name', 'question', 'cards', 'notes', 'outcome'];
+  const rows = records.map(record => [
+    record.id,
+    record.timestamp,
+    record.spread,
+    spreadNameOf(record.spread),
+    record.question,
+    record.results.map(r => `${r.position}:${r.cardName}(${r.orientation})`).join(' / '),
+    (record.notes || []).map(note => note.text).join(' / '),
+    record.outcome ? record.outcome.text : ''
+  ]);
+
+  // Excelで文字化けしないようにBOMを付ける
+  return '\uFEFF' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function toJson(records) {
+  return JSON.stringify(records, null, 2);
+}
+
+module.exports = {
+  PAGE_SIZE,
+  parseHistoryArgs,
+  paginate,
+  toCsv,
+  toJson
+};
@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const express = require('express');
+const { parseOption } = require('./readingOptions');
+const { getCardMeaning, localizeCard } = require('./cardModel');
+const { findSpread, localizeSpread } = require('./spreadRegistry');
+const { synthesizeReading } = require('./synthesis');
+const { DEFAULT_LOCALE, t, normalizeLocale } = require('./i18n');
+const { HIRES_SCALE } = require('./themes');
+const { parseVisibility, getShareUrl } = require('./sharePage');
+const { getPackName } = require('./deckPacks');
+
+// WebサイトやほかのBotから占いを使うためのHTTP API（/api 以下）
+// APIキーは API_KEYS に "名前:キー" をカンマ区切りで指定（名前を省略すると "api"）
+// データの再読み込み（POST /api/reload）には API_ADMIN_KEYS の管理用キーが必要（未設定なら使えない）
+// APIで占った結果は "api:<名前>" のユーザーとして保存し、取得できるのは同じキーで占ったものだけ
+
+const MAX_QUESTION_LENGTH = 200;
+const MAX_SEED_LENGTH = 64;
+
+// API_KEYS の値を [{ name, key }] に
+function parseApiKeys(text) {
+  return (text || '').split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+        : { name: 'api', key: entry };
+    })
+    .filter(entry => entry.key);
+}
+
+// 長さの違いで一致を推測されないようにハッシュ同士を比べる
+function safeEqual(a, b) {
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// "Authorization: Bearer <キー>" または "X-API-Key: <キー>"
+function getRequestKey(req) {
+  const authorization = req.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : req.get('x-api-key') || null;
+}
+
+// リクエストのキーに一致するキー（なければnull）
+function findApiKey(keys, req) {
+  const requestKey = getRequestKey(req);
+  return requestKey ? keys.find(entry => safeEqual(entry.key, requestKey)) || null : null;
+}
+
+function sendError(res, status, message) {
+  res.status(status).json({ error: message });
+}
+
+// クエリやボディの言語（対応していなければ既定値）
+function getRequestLocale(value) {
+  return normalizeLocale(typeof value === 'string' ? value : '') || DEFAULT_LOCALE;
+}
+
+// ボディの options（{ pack, deck, suits, reversals, reverseRate }）を占いオプションの上書きに変換
+function parseRequestOptions(raw, locale) {
+  if (raw === undefined || raw === null) {
+    return { options: {} };
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'options must be an object' };
+  }
+
+  const keys = { pack: 'pack', deck: 'deck', suits: 'suits', reversals: 'reversals', reverseRate: 'reverse-rate' };
+  const options = {};
+  for (const [field, value] of Object.entries(raw)) {
+    if (!keys[field]) {
+      return { error: `unknown option: ${field}` };
+    }
+    const parsed = parseOption(keys[field], Array.isArray(value) ? value.join(',') : String(value), locale);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    options[parsed.field] = parsed.value;
+  }
+  return { options };
+}
+
+function serializeSpread(spread) {
+  return {
+    key: spread.key,
+    name: spread.name,
+    shortName: spread.shortName,
+    description: spread.description,
+    positions: spread.positions.map(position => position.name)
+  };
+}
+
+function serializeCard(card) {
+  return {
+    id: card.id,
+    pack: card.pack,
+    name: card.name,
+    type: card.type,
+    suit: card.suit,
+    number: card.number,
+    element: card.element,
+    keywords: card.keywords,
+    meaning: card.meaning,
+    reversedMeaning: card.reversedMeaning
+  };
+}
+
+function serializePack(pack, locale) {
+  return {
+    key: pack.key,
+    name: getPackName(pack, locale),
+    cardCount: pack.cards.length,
+    tarot: pack.tarot,
+    reversals: pack.reversals,
+    spreads: pack.spreads
+  };
+}
+
+// reloadData はカード・スプレッドを読み込み直して結果の報告を返す関数
+// adminKeys は再読み込みに使える管理用のキー（空なら再読み込みのルートを作らない）
+function createApiRouter({ tarotBot, apiKeys, adminKeys = [], reloadData = null, rateLimiter = null, rateLimit = 0 }) {
+  const router = express.Router();
+  router.use(express.json({ limit: '16kb' }));
+
+  // キーごとの回数制限（占いと画像の作成で共有、超えていれば429を返してtrue）
+  const isRateLimited = (req, res) => {
+    if (!rateLimiter) {
+      return false;
+    }
+    const limited = rateLimiter.consume([{ key: `api:${req.apiClient}`, limit: rateLimit }]);
+    if (limited.allowed) {
+      return false;
+    }
+    res.set('Retry-After', String(limited.retryAfterSeconds));
+    sendError(res, 429, `rate limit exceeded, retry after ${limited.retryAfterSeconds}s`);
+    return true;
+  };
+
+  // データの再読み込み（検証に失敗したら前のデータのまま 422）
+  // 占いのAPIキーでは使えず、管理用のキーだけを受け付ける
+  // カードの読み込みに失敗しているときにも使えるよう、読み込み中の確認より前に置く
+  if (reloadData && adminKeys.length > 0) {
+    router.post('/reload', async (req, res, next) => {
+      if (!findApiKey(adminKeys, req)) {
+        sendError(res, 403, 'an admin API key is required');
+        return;
+      }
+      try {
+        const report = await reloadData();
+        res.status(report.applied ? 200 : 422).json(report);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  // APIキーの確認（以降のハンドラでは req.apiClient にキーの名前が入る）
+  router.use((req, res, next) => {
+    const client = findApiKey(apiKeys, req);
+    if (!client) {
+      sendError(res, 401, 'invalid or missing API key');
+      return;
+    }
+    req.apiClient = client.name;
+    next();
+  });
+
+  // カードを読み込むまでは使えない
+  router.use((req, res, next) => {
+    if (tarotBot.cards.length === 0) {
+      sendError(res, 503, 'cards are still loading');
+      return;
+    }
+    next();
+  });
+
+  const clientUserId = req => `api:${req.apiClient}`;
+
+  // 保存済みの占い（別のキーで占ったものは見つからない扱い）
+  const findOwnReading = async req => {
+    const reading = await tarotBot.getReading(req.params.id.toLowerCase());
+    return tarotBot.isOwner(reading, clientUserId(req)) ? reading : null;
+  };
+
+  const serializeReading = (reading, locale) => {
+    const positionNames = tarotBot.getPositionNames(reading, locale);
+    return {
+      id: reading.id,
+      spread: reading.spread,
+      spreadName: tarotBot.getSpreadName(reading.spread, { ...reading, locale }),
+      question: reading.question,
+      seed: reading.seed,
+      options: reading.options,
+      timestamp: reading.timestamp,
+      results: reading.results.map((result, index) => {
+        const card = localizeCard(result.card, locale);
+        return {
+          position: positionNames[index],
+          card: { id: card.id, name: card.name, orientation: card.position, meaning: getCardMeaning(card) }
+        };
+      }),
+      synthesis: synthesizeReading(reading, locale) || null,
+      image: `/api/readings/${reading.id}/image.png`,
+      visibility: reading.visibility || 'private',
+      shareUrl: getShareUrl(tarotBot.shareBaseUrl, reading)
+    };
+  };
+
+  router.get('/spreads', (req, res) => {
+    const locale = getRequestLocale(req.query.locale);
+    res.json({ spreads: Object.values(tarotBot.spreads).map(spread => serializeSpread(localizeSpread(spread, locale))) });
+  });
+
+  router.get('/decks', (req, res) => {
+    const locale = getRequestLocale(req.query.locale);
+    res.json({ decks: tarotBot.getPacks().map(pack => serializePack(pack, locale)) });
+  });
+
+  // カードの一覧（?pack=lenormand でデッキパックを指定、省略時はタロット）
+  router.get('/cards', (req, res) => {
+    const locale = getRequestLocale(req.query.locale);
+    const pack = typeof req.query.pack === 'string' ? tarotBot.getPack(req.query.pack.toLowerCase()) : tarotBot.getPack();
+    if (!pack) {
+      sendError(res, 400, `unknown pack: ${req.query.pack}`);
+      return;
+    }
+    res.json({ cards: pack.cards.map(card => serializeCard(localizeCard(card, locale))) });
+  });
+
+  // 占う（body: { spread, question, options, seed, locale, visibility }、共有ページは省略時は非公開）
+  router.post('/readings', async (req, res, next) => {
+    try {
+      const body = req.body || {};
+      const locale = getRequestLocale(body.locale);
+
+      const spread = findSpread(tarotBot.spreads, body.spread);
+      if (!spread) {
+        sendError(res, 400, `unknown spread: ${body.spread}`);
+        return;
+      }
+      if (body.question !== undefined && typeof body.question !== 'string') {
+        sendError(res, 400, 'question must be a string');
+        return;
+      }
+      const question = (body.question || '').trim() || t(locale, 'reading.noQuestion');
+      if (question.length > MAX_QUESTION_LENGTH) {
+        sendError(res, 400, `question must be at most ${MAX_QUESTION_LENGTH} characters`);
+        return;
+      }
+      if (body.seed !== undefined && (typeof body.seed !== 'string' || body.seed.length === 0 || body.seed.length > MAX_SEED_LENGTH)) {
+        sendError(res, 400, `seed must be a string of 1-${MAX_SEED_LENGTH} characters`);
+        return;
+      }
+
+      const visibility = body.visibility === undefined ? 'private' : parseVisibility(String(body.visibility));
+      if (!visibility) {
+        sendError(res, 400, 'visibility must be public, unlisted or private');
+        return;
+      }
+
+      const parsed = parseRequestOptions(body.options, locale);
+      if (parsed.error) {
+        sendError(res, 400, parsed.error);
+        return;
+      }
+      const options = tarotBot.getReadingOptions({}, parsed.options);
+      const deckError = tarotBot.checkDeck(spread, options, locale);
+      if (deckError) {
+        sendError(res, 400, deckError);
+        return;
+      }
+
+      if (isRateLimited(req, res)) {
+        return;
+      }
+
+      const reading = await tarotBot.performReading(body.spread, question, clientUserId(req), {
+        seed: body.seed || null,
+        options,
+        locale,
+        visibility
+      });
+      res.status(201).json(serializeReading(reading, locale));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/readings/:id', async (req, res, next) => {
+    try {
+      const reading = await findOwnReading(req);
+      if (!reading) {
+        sendError(res, 404, 'reading not found');
+        return;
+      }
+      res.json(serializeReading(reading, getRequestLocale(req.query.locale)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // スプレッドの画像（?theme=sakura&hires=true&locale=en）
+  router.get('/readings/:id/image.png', async (req, res, next) => {
+    try {
+      const themeKey = typeof req.query.theme === 'string' ? req.query.theme.toLowerCase() : null;
+      if (themeKey && !tarotBot.themes[themeKey]) {
+        sendError(res, 400, `unknown theme: ${themeKey}`);
+        return;
+      }
+      const reading = await findOwnReading(req);
+      if (!reading) {
+        sendError(res, 404, 'reading not found');
+        return;
+      }
+      if (isRateLimited(req, res)) {
+        return;
+      }
+
+      const image = await tarotBot.generateSpreadImage(reading, getRequestLocale(req.query.locale), {
+        theme: tarotBot.getTheme({}, themeKey),
+        scale: ['true', '1'].includes(req.query.hires) ? HIRES_SCALE : 1
+      });
+      if (!image) {
+        sendError(res, 500, 'image generation failed');
+        return;
+      }
+      res.type('png').send(image);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.use((req, res) => sendError(res, 404, 'not found'));
+
+  // JSONの構文エラーなどもJSONで返す
+  router.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+      sendError(res, error.status, error.type === 'entity.too.large' ? 'request body too large' : 'invalid JSON body');
+      return;
+    }
+    console.error('Error handling API request:', error);
+    sendError(res, 500, 'internal error');
+  });
+
+  return router;
+}
+
+module.exports = {
+  parseApiKeys,
+  createApiRouter
+};
@@ -0,0 +1,87 @@
+const ja = require('../locales/ja.json');
+const en = require('../locales/en.json');
+
+// メッセージカタログ（locales/*.json）と言語設定
+// カードやスプレッドの名前は各データ（Cardsシート・SpreadInfoシート）の翻訳を使う
+
+const CATALOGS = { ja, en };
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// カードデータ（スプレッドシート）の元の言語
+const DATA_LOCALE = 'ja';
+
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : DATA_LOCALE;
+
+// 日付の表示に使うロケール
+const DATE_LOCALES = { ja: 'ja-JP', en: 'en-US' };
+
+// Discordの言語コード（スラッシュコマンドの説明・選択肢の翻訳に使う）
+const DISCORD_LOCALES = { ja: ['ja'], en: ['en-US', 'en-GB'] };
+
+const LOCALE_ALIASES = {
+  ja: ['ja', 'jp', 'japanese', '日本語'],
+  en: ['en', 'english', '英語']
+};
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && node[part] !== undefined ? node[part] : undefined), catalog);
+}
+
+// キーに対応する文言（見つからなければ既定の言語、それもなければキーそのもの）
+// 配列は改行でつなぎ、{name} を params の値で置き換える
+function t(locale, key, params = {}) {
+  let template = lookup(CATALOGS[locale] || {}, key);
+  if (template === undefined) {
+    template = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  }
+  if (template === undefined) {
+    return key;
+  }
+
+  const text = Array.isArray(template) ? template.join('\n') : String(template);
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// "en" "English" "日本語" などを対応する言語コードに（不明ならnull）
+function normalizeLocale(text) {
+  const value = (text || '').trim().toLowerCase();
+  return SUPPORTED_LOCALES.find(locale => LOCALE_ALIASES[locale].includes(value)) || null;
+}
+
+// Discordクライアントの言語（"ja" "en-US" など）を対応する言語コードに
+function fromDiscordLocale(discordLocale) {
+  return normalizeLocale((discordLocale || '').split('-')[0]);
+}
+
+function getDateLocale(locale) {
+  return DATE_LOCALES[locale] || DATE_LOCALES[DEFAULT_LOCALE];
+}
+
+// 言語ごとの文言（textOf(locale)）を Discord の *_localizations の形に
+function toDiscordLocalizations(textOf) {
+  const localizations = {};
+  SUPPORTED_LOCALES.forEach(locale => {
+    const text = textOf(locale);
+    DISCORD_LOCALES[locale].forEach(discordLocale => {
+      localizations[discordLocale] = text;
+    });
+  });
+  return localizations;
+}
+
+// 言語の一覧（"ja: 日本語 / en: English"、どの言語の文中でも読めるよう記号は半角）
+function describeLocales() {
+  return SUPPORTED_LOCALES.map(locale => `${locale}: ${t(locale, 'language.name')}`).join(' / ');
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DATA_LOCALE,
+  DEFAULT_LOCALE,
+  t,
+  normalizeLocale,
+  fromDiscordLocale,
+  getDateLocale,
+  toDiscordLocalizations,
+  describeLocales
+};
@@ -0,0 +1,88 @@
+const { DEFAULT_LOCALE, t, getDateLocale } = require('./i18n');
+
+// 占いの振り返り（メモ・結果・リマインダー）
+// メモと結果は占いレコードに、未送信のリマインダーはユーザー設定に保存する
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_NOTES = 20;
+const MAX_REMIND_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function validateText(text, locale = DEFAULT_LOCALE) {
+  if (!text) {
+    return t(locale, 'journal.emptyText');
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return t(locale, 'journal.textTooLong', { max: MAX_TEXT_LENGTH });
+  }
+  return null;
+}
+
+// メモを追加（レコードを直接変更する）
+function addNote(record, text, now = new Date()) {
+  record.notes = [...(record.notes || []), { text, timestamp: now.toISOString() }].slice(-MAX_NOTES);
+}
+
+// 結果を記録（上書き）
+function setOutcome(record, text, now = new Date()) {
+  record.outcome = { text, timestamp: now.toISOString() };
+}
+
+// "7" → 7日、範囲外・数字以外はnull
+function parseRemindDays(text) {
+  if (!/^\d{1,3}$/.test(text || '')) {
+    return null;
+  }
+  const days = parseInt(text, 10);
+  return days >= 1 && days <= MAX_REMIND_DAYS ? days : null;
+}
+
+function createReminder(readingId, days, now = new Date()) {
+  return { readingId, dueAt: new Date(now.getTime() + days * DAY_MS).toISOString() };
+}
+
+// 送信時刻になったリマインダー（ユーザー設定の reminders から探す）
+function findDueReminders(userSettings, now) {
+  const due = [];
+
+  Object.keys(userSettings).forEach(userId => {
+    (userSettings[userId].reminders || []).forEach(reminder => {
+      if (new Date(reminder.dueAt) <= now) {
+        due.push({ userId, ...reminder });
+      }
+    });
+  });
+
+  return due;
+}
+
+// 詳細表示用のメモと結果（なければ空文字）
+function formatJournal(record, timeZone, locale = DEFAULT_LOCALE) {
+  const formatDate = timestamp => new Date(timestamp).toLocaleDateString(getDateLocale(locale), { timeZone });
+  let message = '';
+
+  if (record.notes && record.notes.length > 0) {
+    message += `\n📝 **${t(locale, 'journal.notes')}**\n`;
+    record.notes.forEach(note => {
+      message += `${t(locale, 'journal.noteEntry', { date: formatDate(note.timestamp), text: note.text })}\n`;
+    });
+  }
+
+  if (record.outcome) {
+    message += `\n🔚 ${t(locale, 'journal.outcome', { date: formatDate(record.outcome.timestamp) })}\n${record.outcome.text}\n`;
+  }
+
+  return message;
+}
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  MAX_REMIND_DAYS,
+  validateText,
+  addNote,
+  setOutcome,
+  parseRemindDays,
+  createReminder,
+  findDueReminders,
+  formatJournal
+};
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { t } = require('./i18n');
+
+// 占い記録のプライバシー（保存するユーザーIDのハッシュ化・保存しない設定）
+// USER_ID_SALT を設定すると、占い記録にはDiscordのユーザーIDの代わりにソルト付きハッシュを保存する
+// ソルトを変えると以前の記録と結びつかなくなるため、一度決めたら変えない
+
+const HASH_PREFIX = 'h:';
+const HASH_LENGTH = 32;
+
+function hashUserId(userId, salt) {
+  const digest = crypto.createHmac('sha256', salt).update(String(userId)).digest('hex');
+  return `${HASH_PREFIX}${digest.slice(0, HASH_LENGTH)}`;
+}
+
+function isHashedUserId(userId) {
+  return typeof userId === 'string' && userId.startsWith(HASH_PREFIX);
+}
+
+// ユーザーが占いの保存を止めているか（ユーザー設定の storeReadings が false）
+function isStorageDisabled(userSettings) {
+  return userSettings.storeReadings === false;
+}
+
+// 質問・メモ・結果を伏せた占い（表示用のコピー）
+// 公開範囲も外して、共有ページのリンクが付かないようにする
+function redactReading(reading, locale) {
+  const { notes, outcome, visibility, ...rest } = reading;
+  return { ...rest, question: t(locale, 'privacy.redacted') };
+}
+
+module.exports = {
+  hashUserId,
+  isHashedUserId,
+  isStorageDisabled,
+  redactReading
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// 占いの乱数（シード付き）とID生成
+
+// 読み間違えやすい文字（i, l, o, u）を除いた小文字の32文字
+const ID_ALPHABET = '0123456789abcdefghjkmnpqrstvwxyz';
+const ID_LENGTH = 8;
+
+// 短い占いID
+function createReadingId() {
+  const bytes = crypto.randomBytes(ID_LENGTH);
+  let id = '';
+  for (let i = 0; i < ID_LENGTH; i++) {
+    id += ID_ALPHABET[bytes[i] % ID_ALPHABET.length];
+  }
+  return id;
+}
+
+// ランダムなシード
+function createSeed() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+// 文字列のシードを32bit整数に変換（xmur3）
+function hashSeed(seed) {
+  const text = String(seed);
+  let h = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^= h >>> 16) >>> 0;
+}
+
+// シードから再現可能な乱数関数を作成（mulberry32、Math.randomと同じく0以上1未満を返す）
+function createRng(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  createReadingId,
+  createSeed,
+  createRng
+};
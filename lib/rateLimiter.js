@@ -0,0 +1,56 @@
+// 占いの回数制限（キーごとに直近の実行時刻を持つスライディングウィンドウ）
+// キーは "user:<ID>" や "guild:<ID>" など、上限はキーごとに呼び出し側が渡す
+
+const WINDOW_MS = 60 * 1000;
+
+class RateLimiter {
+  constructor({ windowMs = WINDOW_MS } = {}) {
+    this.windowMs = windowMs;
+    this.hits = new Map();
+  }
+
+  recent(key, now) {
+    const since = now - this.windowMs;
+    const times = (this.hits.get(key) || []).filter(time => time > since);
+    if (times.length > 0) {
+      this.hits.set(key, times);
+    } else {
+      this.hits.delete(key);
+    }
+    return times;
+  }
+
+  // checks: [{ key, limit }]（limitが0以下なら無制限）
+  // すべて上限内なら記録して { allowed: true }、超えていれば待つ秒数を返す（記録しない）
+  consume(checks, now = Date.now()) {
+    let retryAfterMs = 0;
+
+    checks.forEach(({ key, limit }) => {
+      if (!limit || limit <= 0) {
+        return;
+      }
+      const times = this.recent(key, now);
+      if (times.length >= limit) {
+        retryAfterMs = Math.max(retryAfterMs, times[times.length - limit] + this.windowMs - now);
+      }
+    });
+
+    if (retryAfterMs > 0) {
+      return { allowed: false, retryAfterSeconds: Math.ceil(retryAfterMs / 1000) };
+    }
+
+    checks.forEach(({ key, limit }) => {
+      if (limit > 0) {
+        this.hits.set(key, [...this.recent(key, now), now]);
+      }
+    });
+    return { allowed: true };
+  }
+
+  // 期限切れの記録を捨てる（定期的に呼ぶ）
+  sweep(now = Date.now()) {
+    [...this.hits.keys()].forEach(key => this.recent(key, now));
+  }
+}
+
+module.exports = { RateLimiter };
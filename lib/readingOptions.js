@@ -0,0 +1,173 @@
+const { SUITS, isMajorArcana } = require('./cardModel');
+const { DEFAULT_PACK, isPackKey } = require('./deckPacks');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+// 占いのオプション（デッキパック・デッキの絞り込み・逆位置の扱い）
+// 優先順位: コマンドのフラグ > ユーザーの既定値 > サーバーの既定値 > DEFAULT_OPTIONS
+
+const DEFAULT_OPTIONS = {
+  pack: DEFAULT_PACK, // デッキパックのキー（tarot | lenormand など）
+  deck: 'all', // all | majors | minors
+  suits: [], // 空なら全スート
+  reversals: true,
+  reverseRate: 0.5
+};
+
+const DECKS = ['all', 'majors', 'minors'];
+
+const ON_VALUES = ['on', 'true', 'yes', '1', 'あり'];
+const OFF_VALUES = ['off', 'false', 'no', '0', 'なし'];
+
+function parseSuits(value, locale) {
+  const names = String(value).toLowerCase().split(/[,、]/).map(name => name.trim()).filter(Boolean);
+  if (names.length === 1 && names[0] === 'all') {
+    return { value: [] };
+  }
+
+  const suits = [];
+  for (const name of names) {
+    const suit = SUITS.find(entry => entry.names.includes(name));
+    if (!suit) {
+      return { error: t(locale, 'options.unknownSuit', { name }) };
+    }
+    suits.push(suit.key);
+  }
+  return { value: [...new Set(suits)] };
+}
+
+// 設定項目1つを検証して変換（key は pack / deck / suits / reversals / reverse-rate）
+// pack はキーの形式だけを確かめる（パックがあるかは読み込んだデータで確かめる）
+function parseOption(key, value, locale = DEFAULT_LOCALE) {
+  switch (key) {
+    case 'pack': {
+      const pack = String(value).toLowerCase();
+      if (!isPackKey(pack)) {
+        return { error: t(locale, 'options.invalidPack') };
+      }
+      return { field: 'pack', value: pack };
+    }
+
+    case 'deck':
+      if (!DECKS.includes(value)) {
+        return { error: t(locale, 'options.invalidDeck') };
+      }
+      return { field: 'deck', value };
+
+    case 'suits':
+    case 'suit': {
+      const parsed = parseSuits(value, locale);
+      return parsed.error ? parsed : { field: 'suits', value: parsed.value };
+    }
+
+    case 'reversals':
+    case 'reverse': {
+      const normalized = String(value).toLowerCase();
+      if (ON_VALUES.includes(normalized)) {
+        return { field: 'reversals', value: true };
+      }
+      if (OFF_VALUES.includes(normalized)) {
+        return { field: 'reversals', value: false };
+      }
+      return { error: t(locale, 'options.invalidReversals') };
+    }
+
+    case 'reverse-rate': {
+      const rate = Number(value);
+      if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+        return { error: t(locale, 'options.invalidReverseRate') };
+      }
+      return { field: 'reverseRate', value: rate };
+    }
+
+    default:
+      return { error: t(locale, 'options.unknownKey', { key }) };
+  }
+}
+
+// コマンドのフラグ（--pack=lenormand, --majors, --no-reverse, --reverse-rate=0.3 など）をオプションに変換
+function parseOptionFlags(flags, locale = DEFAULT_LOCALE) {
+  const options = {};
+  const errors = [];
+
+  const apply = (key, value) => {
+    const parsed = parseOption(key, value, locale);
+    if (parsed.error) {
+      errors.push(parsed.error);
+    } else {
+      options[parsed.field] = parsed.value;
+    }
+  };
+
+  if (flags.majors) apply('deck', 'majors');
+  if (flags.minors) apply('deck', 'minors');
+  if (flags.all) apply('deck', 'all');
+  if (flags['no-reverse']) apply('reversals', 'off');
+  if (flags.reverse) apply('reversals', 'on');
+  ['pack', 'deck', 'suits', 'suit', 'reverse-rate'].forEach(key => {
+    if (typeof flags[key] === 'string') {
+      apply(key, flags[key]);
+    }
+  });
+
+  return { options, errors };
+}
+
+// 既定値から順に上書きしたオプション
+function resolveOptions(...layers) {
+  return Object.assign({}, DEFAULT_OPTIONS, ...layers.filter(Boolean));
+}
+
+// オプションに合わせてデッキを絞り込む
+function filterDeck(cards, options) {
+  return cards.filter(card => {
+    const major = isMajorArcana(card);
+    if (options.deck === 'majors' && !major) return false;
+    if (options.deck === 'minors' && major) return false;
+    if (options.suits.length > 0 && !major && !options.suits.includes(card.suit)) return false;
+    return true;
+  });
+}
+
+// 逆位置になる確率
+function getReverseRate(options) {
+  return options.reversals ? options.reverseRate : 0;
+}
+
+// 既定値と違う部分だけを説明（既定値どおりなら空文字、パックは呼び出し側で名前を表示する）
+function describeOptions(options, locale = DEFAULT_LOCALE) {
+  const parts = [];
+  if (options.deck !== DEFAULT_OPTIONS.deck) {
+    parts.push(t(locale, `options.decks.${options.deck}`));
+  }
+  if (options.suits.length > 0) {
+    parts.push(t(locale, 'options.suits', { suits: options.suits.join(', ') }));
+  }
+  if (!options.reversals) {
+    parts.push(t(locale, 'options.noReversals'));
+  } else if (options.reverseRate !== DEFAULT_OPTIONS.reverseRate) {
+    parts.push(t(locale, 'options.reverseRate', { percent: Math.round(options.reverseRate * 100) }));
+  }
+  return parts.join(' / ');
+}
+
+// 設定一覧の表示用
+function formatOptions(options, locale = DEFAULT_LOCALE) {
+  return [
+    `pack: ${options.pack}`,
+    `deck: ${options.deck}（${t(locale, `options.decks.${options.deck}`)}）`,
+    `suits: ${options.suits.length > 0 ? options.suits.join(', ') : 'all'}`,
+    `reversals: ${options.reversals ? 'on' : 'off'}`,
+    `reverse-rate: ${options.reverseRate}`
+  ].join('\n');
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  parseOption,
+  parseOptionFlags,
+  resolveOptions,
+  filterDeck,
+  getReverseRate,
+  describeOptions,
+  formatOptions
+};
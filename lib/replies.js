@@ -0,0 +1,60 @@
+// Discordの2000文字制限に合わせた返信ヘルパー
+
+const MAX_MESSAGE_LENGTH = 2000;
+const CHUNK_LENGTH = 1900;
+
+// 長いメッセージを行単位で分割
+function splitMessage(text, maxLength = CHUNK_LENGTH) {
+  if (text.length <= MAX_MESSAGE_LENGTH) {
+    return [text];
+  }
+
+  const chunks = [];
+  let currentMessage = '';
+
+  for (const line of text.split('\n')) {
+    if (currentMessage.length + line.length > maxLength) {
+      chunks.push(currentMessage);
+      currentMessage = line + '\n';
+    } else {
+      currentMessage += line + '\n';
+    }
+  }
+
+  if (currentMessage.trim()) {
+    chunks.push(currentMessage);
+  }
+
+  return chunks;
+}
+
+// !divine メッセージへの返信（添付ファイルとボタンは最初のメッセージに付ける）
+async function replyToMessage(message, { content, files = [], components = [] }) {
+  const [first, ...rest] = splitMessage(content);
+  await message.reply({ content: first, files, components });
+
+  for (const chunk of rest) {
+    await message.channel.send(chunk);
+  }
+}
+
+// スラッシュコマンドへの返信（deferReply済みの場合はeditReplyを使う）
+async function replyToInteraction(interaction, { content, files = [], components = [] }, ephemeral = false) {
+  const [first, ...rest] = splitMessage(content);
+
+  if (interaction.deferred || interaction.replied) {
+    await interaction.editReply({ content: first, files, components });
+  } else {
+    await interaction.reply({ content: first, files, components, ephemeral });
+  }
+
+  for (const chunk of rest) {
+    await interaction.followUp({ content: chunk, ephemeral });
+  }
+}
+
+module.exports = {
+  splitMessage,
+  replyToMessage,
+  replyToInteraction
+};
@@ -0,0 +1,112 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+// 1枚ずつめくる占い（伏せた状態で送り、ボタンでカードを表に返す）
+// 状態はメモリ上に占いIDごとに持ち、一定時間操作がなければ破棄する
+// 再起動などで状態がなくなったボタンは、押されたときに無効化する
+
+const REVEAL_TIMEOUT_MS = 15 * 60 * 1000;
+const CUSTOM_ID_PREFIX = 'reveal';
+
+function buildCustomId(readingId, action) {
+  return `${CUSTOM_ID_PREFIX}:${readingId}:${action}`;
+}
+
+// "reveal:<占いID>:next" → { readingId, action }（めくる用のボタンでなければnull）
+function parseRevealCustomId(customId) {
+  const [prefix, readingId, action] = (customId || '').split(':');
+  if (prefix !== CUSTOM_ID_PREFIX || !readingId || !['next', 'all'].includes(action)) {
+    return null;
+  }
+  return { readingId, action };
+}
+
+class RevealSessionStore {
+  constructor({ timeoutMs = REVEAL_TIMEOUT_MS } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.sessions = new Map();
+  }
+
+  // render は画像の指定（theme・scale）、最初は全部伏せた状態
+  create(reading, { locale = DEFAULT_LOCALE, render = {} } = {}) {
+    const session = {
+      reading,
+      locale,
+      render,
+      revealed: reading.results.map(() => false),
+      timer: null
+    };
+    this.sessions.set(reading.id, session);
+    this.touch(session);
+    return session;
+  }
+
+  get(readingId) {
+    return this.sessions.get(readingId) || null;
+  }
+
+  // 操作されるたびに期限を延ばす
+  touch(session) {
+    clearTimeout(session.timer);
+    session.timer = setTimeout(() => this.delete(session.reading.id), this.timeoutMs);
+    session.timer.unref();
+  }
+
+  delete(readingId) {
+    const session = this.sessions.get(readingId);
+    if (session) {
+      clearTimeout(session.timer);
+      this.sessions.delete(readingId);
+    }
+  }
+}
+
+// 次の1枚を表にする（めくったカードの位置、残っていなければ-1）
+function revealNext(session) {
+  const index = session.revealed.indexOf(false);
+  if (index !== -1) {
+    session.revealed[index] = true;
+  }
+  return index;
+}
+
+function revealAll(session) {
+  session.revealed = session.revealed.map(() => true);
+}
+
+function isComplete(session) {
+  return session.revealed.every(Boolean);
+}
+
+// めくるボタン（全部めくったら空にする）
+function buildRevealButtons(session) {
+  if (isComplete(session)) {
+    return [];
+  }
+
+  const { locale } = session;
+  const remaining = session.revealed.filter(revealed => !revealed).length;
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(buildCustomId(session.reading.id, 'next'))
+        .setLabel(t(locale, 'reveal.next', { remaining }))
+        .setEmoji('🃏')
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId(buildCustomId(session.reading.id, 'all'))
+        .setLabel(t(locale, 'reveal.all'))
+        .setStyle(ButtonStyle.Secondary)
+    )
+  ];
+}
+
+module.exports = {
+  REVEAL_TIMEOUT_MS,
+  RevealSessionStore,
+  parseRevealCustomId,
+  revealNext,
+  revealAll,
+  isComplete,
+  buildRevealButtons
+};
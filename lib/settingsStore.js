@@ -0,0 +1,71 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'data', 'settings.json');
+
+// サーバー（guild）・ユーザーごとの設定をローカルのJSONファイルに保存するストア
+// 起動時に load() してから使う（get は同期で読める）
+class SettingsStore {
+  constructor({ filePath = DEFAULT_FILE_PATH } = {}) {
+    this.filePath = filePath;
+    this.data = { guilds: {}, users: {} };
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(content);
+      this.data = { guilds: data.guilds || {}, users: data.users || {} };
+      console.log(`Loaded settings for ${Object.keys(this.data.guilds).length} guilds and ${Object.keys(this.data.users).length} users`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading settings from ${this.filePath}:`, error.message);
+      }
+    }
+  }
+
+  // scope: 'guilds' または 'users'
+  get(scope, id) {
+    return (id && this.data[scope][id]) || {};
+  }
+
+  getGuild(guildId) {
+    return this.get('guilds', guildId);
+  }
+
+  getUser(userId) {
+    return this.get('users', userId);
+  }
+
+  // 設定を更新して保存（updaterは設定オブジェクトを直接変更する）
+  async update(scope, id, updater) {
+    const settings = this.data[scope][id] || {};
+    const result = updater(settings);
+    this.data[scope][id] = settings;
+    await this.save();
+    return result;
+  }
+
+  updateGuild(guildId, updater) {
+    return this.update('guilds', guildId, updater);
+  }
+
+  updateUser(userId, updater) {
+    return this.update('users', userId, updater);
+  }
+
+  // 一時ファイルに書いてから置き換え、書き込みは直列化する
+  save() {
+    const task = this.writeQueue.then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    });
+    this.writeQueue = task.catch(error => console.error('Error saving settings:', error));
+    return task;
+  }
+}
+
+module.exports = { SettingsStore };
@@ -0,0 +1,238 @@
+const express = require('express');
+const { getCardMeaning, localizeCard, REVERSED } = require('./cardModel');
+const { synthesizeReading } = require('./synthesis');
+const { t, normalizeLocale } = require('./i18n');
+const { isHashedUserId } = require('./privacy');
+
+// 占い結果の共有ページ（/r/<占いID>）
+// 公開範囲はレコードの visibility（public: 公開 / unlisted: リンクを知っている人のみ / private: 非公開）
+// サーバー内の占いは unlisted、DMの占いは private で始まり、占った本人が変更できる
+
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// ページ・画像のキャッシュ時間（非公開にしたあと見えなくなるまでの上限）
+const CACHE_MAX_AGE_SECONDS = 60;
+
+// 作成済みの画像をメモリに残す数（占い・言語・テーマごと、古いものから捨てる）
+const IMAGE_CACHE_LIMIT = 50;
+
+// 新しい占いの公開範囲（DMの占いは非公開）
+function defaultVisibility(guildId) {
+  return guildId ? 'unlisted' : 'private';
+}
+
+// コマンドで指定された公開範囲（revoke・off は private の別名、不正ならnull）
+function parseVisibility(text) {
+  const value = (text || '').toLowerCase();
+  if (['revoke', 'off'].includes(value)) {
+    return 'private';
+  }
+  return VISIBILITIES.includes(value) ? value : null;
+}
+
+// visibility のない古いレコードは非公開として扱う
+function isShared(reading) {
+  return Boolean(reading) && ['public', 'unlisted'].includes(reading.visibility);
+}
+
+// 共有ページのURL（baseUrl未設定・非公開ならnull）
+function getShareUrl(baseUrl, reading) {
+  return baseUrl && isShared(reading) ? `${baseUrl}/r/${reading.id}` : null;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// page: { locale, spreadName, title, description, question, pageUrl, imageUrl, indexable, entries: [{ position, card, orientation, reversed, meaning }], synthesis, date }
+// orientation が空のカード（逆位置のないデッキパック）は向きを表示しない
+function renderSharePage(page) {
+  const { locale } = page;
+  const meta = [
+    ['og:type', 'article'],
+    ['og:site_name', t(locale, 'share.siteName')],
+    ['og:title', page.title],
+    ['og:description', page.description],
+    ['og:url', page.pageUrl],
+    ['og:image', page.imageUrl]
+  ].map(([property, content]) => `<meta property="${property}" content="${escapeHtml(content)}">`);
+  const entries = page.entries.map(entry => [
+    '<li>',
+    `<h2>${escapeHtml(entry.position)}</h2>`,
+    `<p class="card">${escapeHtml(entry.card)}${entry.orientation ? `<span class="${entry.reversed ? 'reversed' : 'upright'}">${escapeHtml(entry.orientation)}</span>` : ''}</p>`,
+    `<p class="meaning">${escapeHtml(entry.meaning)}</p>`,
+    '</li>'
+  ].join(''));
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(page.title)}</title>
+<meta name="description" content="${escapeHtml(page.description)}">
+${page.indexable ? '' : '<meta name="robots" content="noindex, nofollow">\n'}${meta.join('\n')}
+<meta name="twitter:card" content="summary_large_image">
+<style>
+body { margin: 0; background: #1a1a2e; color: #f5f5f5; font-family: "Noto Sans JP", sans-serif; line-height: 1.7; }
+main { max-width: 880px; margin: 0 auto; padding: 24px 16px 48px; }
+h1 { font-size: 1.5rem; margin: 0 0 4px; }
+h2 { font-size: 1rem; margin: 0; color: #bbbbbb; }
+img { width: 100%; height: auto; border-radius: 8px; margin: 16px 0; }
+ol { list-style: none; padding: 0; }
+li { border-top: 1px solid #444466; padding: 12px 0; }
+.question { color: #cccccc; }
+.card { font-size: 1.1rem; margin: 0; }
+.card span { margin-left: 8px; font-size: 0.9rem; }
+.upright { color: #4ecdc4; }
+.reversed { color: #ff6b6b; }
+.meaning { margin: 4px 0 0; color: #dddddd; }
+footer { margin-top: 32px; font-size: 0.8rem; color: #888899; }
+</style>
+</head>
+<body>
+<main>
+<h1>🔮 ${escapeHtml(page.spreadName)}</h1>
+<p class="question">${escapeHtml(t(locale, 'reading.questionLine', { question: page.question }))}</p>
+<img src="${escapeHtml(page.imageUrl)}" alt="${escapeHtml(page.title)}">
+<ol>
+${entries.join('\n')}
+</ol>
+${page.synthesis ? `<section><h2>📖 ${escapeHtml(t(locale, 'synthesis.heading'))}</h2><p>${escapeHtml(page.synthesis)}</p></section>\n` : ''}<footer>${escapeHtml(t(locale, 'share.footer', { date: page.date }))}</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+function createShareRouter({ tarotBot, baseUrl = null }) {
+  const router = express.Router();
+
+  // 共有されている占い（非公開・存在しないものはnull）
+  const findSharedReading = async id => {
+    const reading = /^[0-9a-z]{1,32}$/i.test(id) ? await tarotBot.getReading(id.toLowerCase()) : null;
+    return isShared(reading) ? reading : null;
+  };
+
+  // 表示言語（?locale= の指定 > 占ったときの言語 > 占った人・サーバーの設定）
+  // ハッシュ化されたユーザーIDでは設定を引けないので、古いレコードはサーバーの設定を使う
+  const getPageLocale = (req, reading) => normalizeLocale(typeof req.query.locale === 'string' ? req.query.locale : '')
+    || reading.locale
+    || tarotBot.getLocale({ userId: isHashedUserId(reading.userId) ? null : reading.userId, guildId: reading.guildId });
+
+  // 共有ページの画像（同じ占い・言語・テーマは作成済みのものを返し、作成中なら待つ）
+  const images = new Map();
+  const pendingImages = new Map();
+  const getImage = (reading, locale, theme) => {
+    const key = `${reading.id}:${locale}:${theme.key}`;
+    if (images.has(key)) {
+      const image = images.get(key);
+      images.delete(key);
+      images.set(key, image);
+      return Promise.resolve(image);
+    }
+    if (pendingImages.has(key)) {
+      return pendingImages.get(key);
+    }
+
+    const task = tarotBot.generateSpreadImage(reading, locale, { theme })
+      .then(image => {
+        if (image) {
+          images.set(key, image);
+          if (images.size > IMAGE_CACHE_LIMIT) {
+            images.delete(images.keys().next().value);
+          }
+        }
+        return image;
+      })
+      .finally(() => pendingImages.delete(key));
+    pendingImages.set(key, task);
+    return task;
+  };
+
+  const notFound = res => {
+    res.status(404).type('text/plain').send('Not found');
+  };
+
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const reading = await findSharedReading(req.params.id);
+      if (!reading) {
+        notFound(res);
+        return;
+      }
+
+      const locale = getPageLocale(req, reading);
+      const origin = baseUrl || `${req.protocol}://${req.get('host')}`;
+      const pageUrl = `${origin}/r/${reading.id}`;
+      const spreadName = tarotBot.getSpreadName(reading.spread, { ...reading, locale });
+      const positionNames = tarotBot.getPositionNames(reading, locale);
+      const entries = reading.results.map((result, index) => {
+        const card = localizeCard(result.card, locale);
+        return {
+          position: positionNames[index],
+          card: card.name,
+          label: tarotBot.formatCardName(card, locale),
+          orientation: tarotBot.usesReversals(card) ? tarotBot.formatOrientation(card, locale) : '',
+          reversed: card.position === REVERSED,
+          meaning: getCardMeaning(card)
+        };
+      });
+
+      const html = renderSharePage({
+        locale,
+        spreadName,
+        title: t(locale, 'share.pageTitle', { spread: spreadName }),
+        description: `${reading.question} — ${entries.map(entry => `${entry.position}: ${entry.label}`).join(' / ')}`,
+        question: reading.question,
+        pageUrl,
+        imageUrl: `${pageUrl}/image.png${req.query.locale ? `?locale=${encodeURIComponent(locale)}` : ''}`,
+        indexable: reading.visibility === 'public',
+        entries,
+        synthesis: synthesizeReading(reading, locale),
+        date: new Date(reading.timestamp).toISOString().slice(0, 10)
+      });
+      res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+      res.type('html').send(html);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id/image.png', async (req, res, next) => {
+    try {
+      const reading = await findSharedReading(req.params.id);
+      if (!reading) {
+        notFound(res);
+        return;
+      }
+
+      // 画像は占ったサーバーのテーマで描く
+      const image = await getImage(reading, getPageLocale(req, reading), tarotBot.getTheme(reading));
+      if (!image) {
+        res.status(500).type('text/plain').send('Image generation failed');
+        return;
+      }
+      res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+      res.type('png').send(image);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  VISIBILITIES,
+  defaultVisibility,
+  parseVisibility,
+  isShared,
+  getShareUrl,
+  createShareRouter
+};
@@ -0,0 +1,339 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { MAX_TEXT_LENGTH, MAX_REMIND_DAYS } = require('./journal');
+const { getPackName } = require('./deckPacks');
+const { DATA_LOCALE, t, toDiscordLocalizations } = require('./i18n');
+
+// Discordのchoice数の上限
+const MAX_CHOICES = 25;
+
+// 説明・選択肢の文言はカタログ（locales/*.json の slash）から
+// 既定はデータの言語で、ほかの言語のクライアントには翻訳を出す
+function localize(textOf) {
+  return { text: textOf(DATA_LOCALE), localizations: toDiscordLocalizations(textOf) };
+}
+
+function describe(builder, key) {
+  const { text, localizations } = localize(locale => t(locale, `slash.${key}`));
+  return builder.setDescription(text).setDescriptionLocalizations(localizations);
+}
+
+function choice(key, value) {
+  const { text, localizations } = localize(locale => t(locale, `slash.choices.${key}`));
+  return { name: text, name_localizations: localizations, value };
+}
+
+// シード指定オプション（同じシードなら同じカードを引く）
+function addSeedOption(subcommand) {
+  return subcommand.addStringOption(option =>
+    describe(option.setName('seed'), 'options.seed')
+      .setMaxLength(64)
+  );
+}
+
+// デッキパック・デッキ・逆位置のオプション（この占いだけ既定値を上書き）
+// デッキパックの選択肢はパックが2つ以上あるときだけ出す
+function addDeckOptions(subcommand, packChoices) {
+  if (packChoices.length > 1) {
+    subcommand.addStringOption(option =>
+      describe(option.setName('pack'), 'options.pack')
+        .addChoices(...packChoices)
+    );
+  }
+  return subcommand
+    .addStringOption(option =>
+      describe(option.setName('deck'), 'options.deck')
+        .addChoices(
+          choice('deck.all', 'all'),
+          choice('deck.majors', 'majors'),
+          choice('deck.minors', 'minors')
+        )
+    )
+    .addBooleanOption(option =>
+      describe(option.setName('reversals'), 'options.reversals')
+    )
+    .addNumberOption(option =>
+      describe(option.setName('reverse_rate'), 'options.reverseRate')
+        .setMinValue(0)
+        .setMaxValue(1)
+    );
+}
+
+// 画像のテーマ・高解像度・1枚ずつめくるオプション（この占いだけ）
+function addImageOptions(subcommand, themeChoices) {
+  return subcommand
+    .addStringOption(option => {
+      describe(option.setName('theme'), 'options.theme');
+      return themeChoices.length > 0 ? option.addChoices(...themeChoices) : option;
+    })
+    .addBooleanOption(option =>
+      describe(option.setName('hires'), 'options.hires')
+    )
+    .addBooleanOption(option =>
+      describe(option.setName('reveal'), 'options.reveal')
+    );
+}
+
+// 非公開（ephemeral）返信オプション
+function addPrivateOption(subcommand) {
+  return subcommand.addBooleanOption(option =>
+    describe(option.setName('private'), 'options.private')
+  );
+}
+
+// メモ・結果の記録オプション（占いIDと本文）
+function addJournalOptions(subcommand, textKey) {
+  return subcommand
+    .addStringOption(option =>
+      describe(option.setName('id'), 'options.readingId')
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      describe(option.setName('text'), textKey)
+        .setRequired(true)
+        .setMaxLength(MAX_TEXT_LENGTH)
+    );
+}
+
+// 読み込み済みのスプレッドから /divine コマンド定義を作成
+// packs は読み込んだデッキパックの一覧（TarotBot.getPacks）
+function buildDivineCommand(spreads, themes = {}, packs = []) {
+  // スプレッド名は翻訳があればその言語の名前
+  const choices = Object.values(spreads)
+    .slice(0, MAX_CHOICES)
+    .map(spread => {
+      const { text, localizations } = localize(locale => {
+        const translation = spread.translations && spread.translations[locale];
+        const name = (translation && translation.name) || spread.name;
+        return t(locale, 'slash.spreadChoice', { name, count: spread.positions.length });
+      });
+      return { name: text, name_localizations: localizations, value: spread.key };
+    });
+  const themeChoices = Object.values(themes)
+    .slice(0, MAX_CHOICES)
+    .map(theme => ({ name: theme.name || theme.key, value: theme.key }));
+  const packChoices = packs
+    .slice(0, MAX_CHOICES)
+    .map(pack => {
+      const { text, localizations } = localize(locale => getPackName(pack, locale));
+      return { name: text, name_localizations: localizations, value: pack.key };
+    });
+
+  return describe(new SlashCommandBuilder().setName('divine'), 'command')
+    .addSubcommand(subcommand =>
+      addPrivateOption(addImageOptions(addDeckOptions(addSeedOption(
+        describe(subcommand.setName('read'), 'subcommands.read')
+          .addStringOption(option =>
+            describe(option.setName('spread'), 'options.spread')
+              .setRequired(true)
+              .addChoices(...choices)
+          )
+          .addStringOption(option =>
+            describe(option.setName('question'), 'options.question')
+              .setMaxLength(200)
+          )
+      ), packChoices), themeChoices))
+    )
+    .addSubcommand(subcommand =>
+      addPrivateOption(addImageOptions(addDeckOptions(addSeedOption(
+        describe(subcommand.setName('custom'), 'subcommands.custom')
+          .addStringOption(option =>
+            describe(option.setName('name'), 'options.customName')
+              .setRequired(true)
+              .setAutocomplete(true)
+          )
+          .addStringOption(option =>
+            describe(option.setName('question'), 'options.question')
+              .setMaxLength(200)
+          )
+      ), packChoices), themeChoices))
+    )
+    .addSubcommand(subcommand =>
+      addPrivateOption(
+        describe(subcommand.setName('show'), 'subcommands.show')
+          .addStringOption(option =>
+            describe(option.setName('id'), 'options.readingId')
+              .setRequired(true)
+          )
+      )
+    )
+    .addSubcommand(subcommand =>
+      describe(subcommand.setName('forget'), 'subcommands.forget')
+        .addBooleanOption(option =>
+          describe(option.setName('confirm'), 'options.forgetConfirm')
+        )
+    )
+    .addSubcommand(subcommand =>
+      describe(subcommand.setName('privacy'), 'subcommands.privacy')
+        .addBooleanOption(option =>
+          describe(option.setName('store'), 'options.store')
+        )
+    )
+    .addSubcommand(subcommand =>
+      describe(subcommand.setName('reload'), 'subcommands.reload')
+    )
+    .addSubcommand(subcommand =>
+      describe(subcommand.setName('share'), 'subcommands.share')
+        .addStringOption(option => describe(option.setName('id'), 'options.readingId').setRequired(true))
+        .addStringOption(option =>
+          describe(option.setName('visibility'), 'options.visibility')
+            .addChoices(
+              choice('visibility.public', 'public'),
+              choice('visibility.unlisted', 'unlisted'),
+              choice('visibility.private', 'private')
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      addPrivateOption(
+        describe(subcommand.setName('stats'), 'subcommands.stats')
+          .addStringOption(option =>
+            describe(option.setName('period'), 'options.period')
+              .addChoices(
+                choice('period.week', 'week'),
+                choice('period.month', 'month'),
+                choice('period.year', 'year'),
+                choice('period.all', 'all')
+              )
+          )
+          .addBooleanOption(option =>
+            describe(option.setName('server'), 'options.serverStats')
+          )
+      )
+    )
+    .addSubcommand(subcommand =>
+      addPrivateOption(describe(subcommand.setName('daily'), 'subcommands.daily'))
+    )
+    .addSubcommand(subcommand =>
+      addPrivateOption(describe(subcommand.setName('help'), 'subcommands.help'))
+    )
+    .addSubcommand(subcommand =>
+      addPrivateOption(describe(subcommand.setName('spreads'), 'subcommands.spreads'))
+    )
+    .addSubcommand(subcommand =>
+      addPrivateOption(describe(subcommand.setName('decks'), 'subcommands.decks'))
+    )
+    .addSubcommand(subcommand =>
+      addPrivateOption(
+        describe(subcommand.setName('card'), 'subcommands.card')
+          .addStringOption(option =>
+            describe(option.setName('name'), 'options.cardName')
+              .setRequired(true)
+          )
+      )
+    )
+    .addSubcommand(subcommand =>
+      addPrivateOption(
+        describe(subcommand.setName('history'), 'subcommands.history')
+          .addIntegerOption(option => describe(option.setName('page'), 'options.page').setMinValue(1))
+          .addStringOption(option => describe(option.setName('spread'), 'options.filterSpread'))
+          .addStringOption(option => describe(option.setName('from'), 'options.from'))
+          .addStringOption(option => describe(option.setName('to'), 'options.to'))
+          .addStringOption(option => describe(option.setName('search'), 'options.search'))
+      )
+    )
+    .addSubcommand(subcommand =>
+      addJournalOptions(describe(subcommand.setName('note'), 'subcommands.note'), 'options.note')
+    )
+    .addSubcommand(subcommand =>
+      addJournalOptions(describe(subcommand.setName('outcome'), 'subcommands.outcome'), 'options.outcome')
+    )
+    .addSubcommand(subcommand =>
+      describe(subcommand.setName('remind'), 'subcommands.remind')
+        .addStringOption(option => describe(option.setName('id'), 'options.readingId').setRequired(true))
+        .addIntegerOption(option =>
+          describe(option.setName('days'), 'options.days')
+            .setRequired(true)
+            .setMinValue(0)
+            .setMaxValue(MAX_REMIND_DAYS)
+        )
+    )
+    .addSubcommand(subcommand =>
+      describe(subcommand.setName('export'), 'subcommands.export')
+        .addStringOption(option =>
+          describe(option.setName('format'), 'options.format')
+            .addChoices({ name: 'CSV', value: 'csv' }, { name: 'JSON', value: 'json' })
+        )
+    )
+    .addSubcommand(subcommand =>
+      describe(subcommand.setName('language'), 'subcommands.language')
+        .addStringOption(option =>
+          describe(option.setName('language'), 'options.language')
+            .addChoices(
+              { name: '日本語', value: 'ja' },
+              { name: 'English', value: 'en' },
+              choice('languageReset', 'reset')
+            )
+        )
+        .addBooleanOption(option =>
+          describe(option.setName('server'), 'options.languageServer')
+        )
+    )
+    .addSubcommand(subcommand =>
+      describe(subcommand.setName('session'), 'subcommands.session')
+        .addStringOption(option =>
+          describe(option.setName('action'), 'options.action')
+            .setRequired(true)
+            .addChoices(
+              choice('session.start', 'start'),
+              choice('session.join', 'join'),
+              choice('session.draw', 'draw'),
+              choice('session.status', 'status'),
+              choice('session.skip', 'skip'),
+              choice('session.end', 'end')
+            )
+        )
+        .addStringOption(option =>
+          describe(option.setName('spread'), 'options.sessionSpread')
+            .addChoices(...choices)
+        )
+        .addStringOption(option =>
+          describe(option.setName('question'), 'options.sessionQuestion')
+            .setMaxLength(200)
+        )
+    )
+    .addSubcommand(subcommand =>
+      describe(subcommand.setName('config'), 'subcommands.config')
+        .addStringOption(option =>
+          describe(option.setName('setting'), 'options.setting')
+            .addChoices(
+              choice('config.channels', 'channels'),
+              choice('config.prefix', 'prefix'),
+              choice('config.adminRoles', 'admin-roles'),
+              choice('config.userLimit', 'user-limit'),
+              choice('config.guildLimit', 'guild-limit'),
+              choice('config.defaultSpread', 'default-spread')
+            )
+        )
+        .addStringOption(option =>
+          describe(option.setName('value'), 'options.value')
+        )
+    )
+    .addSubcommand(subcommand =>
+      describe(subcommand.setName('theme'), 'subcommands.theme')
+        .addStringOption(option =>
+          describe(option.setName('name'), 'options.serverTheme')
+            .addChoices(...themeChoices.slice(0, MAX_CHOICES - 1), choice('reset', 'reset'))
+        )
+    )
+    .addSubcommand(subcommand =>
+      addPrivateOption(describe(subcommand.setName('status'), 'subcommands.status'))
+    );
+}
+
+// コマンドを登録（guildIdを指定するとそのサーバーにだけ即時反映）
+async function registerSlashCommands(client, spreads, themes, guildId, packs = []) {
+  const commands = [buildDivineCommand(spreads, themes, packs).toJSON()];
+
+  if (guildId) {
+    await client.application.commands.set(commands, guildId);
+    console.log(`Registered slash commands for guild ${guildId}`);
+  } else {
+    await client.application.commands.set(commands);
+    console.log('Registered global slash commands');
+  }
+}
+
+module.exports = {
+  buildDivineCommand,
+  registerSlashCommands
+};
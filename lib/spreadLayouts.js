@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+// スプレッドごとのカード配置
+// 座標はカード単位（x: unitX px、y: unitY px）、rotationは度数（90で横向き）
+// labelDy はラベルを下にずらす量（重なるカード用）
+
+const DEFAULT_LAYOUTS_PATH = path.join(__dirname, '..', 'config', 'spread-layouts.json');
+
+const CARD_WIDTH = 120;
+const CARD_HEIGHT = 200;
+const DEFAULT_UNIT_X = 140;
+const DEFAULT_UNIT_Y = 280;
+const GRID_COLUMNS = 5;
+
+const MARGIN_X = 80;
+const HEADER_HEIGHT = 140; // タイトル・質問・区切り線
+const LABEL_HEIGHT = 50; // カード下のラベル
+const BOTTOM_MARGIN = 30;
+const MIN_CANVAS_WIDTH = 280;
+
+function normalizePosition(position) {
+  return {
+    x: Number(position.x) || 0,
+    y: Number(position.y) || 0,
+    rotation: ((Number(position.rotation) || 0) % 360 + 360) % 360,
+    labelDy: Number(position.labelDy) || 0
+  };
+}
+
+function normalizeLayout(layout) {
+  return {
+    unitX: Number(layout.unitX) || DEFAULT_UNIT_X,
+    unitY: Number(layout.unitY) || DEFAULT_UNIT_Y,
+    positions: (layout.positions || []).map(normalizePosition)
+  };
+}
+
+// JSONファイルから配置を読み込む
+function loadLayoutsFromFile(filePath = DEFAULT_LAYOUTS_PATH) {
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const layouts = {};
+    Object.keys(raw).forEach(spreadName => {
+      layouts[spreadName] = normalizeLayout(raw[spreadName]);
+    });
+    return layouts;
+  } catch (error) {
+    console.error(`Error loading spread layouts from ${filePath}:`, error.message);
+    return {};
+  }
+}
+
+// SpreadLayoutsシートの行から配置を作成
+// 列: A:スプレッド名 B:位置番号（1から） C:x D:y E:回転 F:ラベルのずらし量
+function parseLayoutRows(rows) {
+  const layouts = {};
+
+  rows.forEach((row, index) => {
+    const spreadName = (row[0] || '').trim();
+    const positionNumber = parseInt(row[1], 10);
+    if (spreadName === '' || !Number.isInteger(positionNumber) || positionNumber < 1) {
+      console.warn(`Skipping invalid layout row ${index + 2}`);
+      return;
+    }
+
+    if (!layouts[spreadName]) {
+      layouts[spreadName] = { unitX: DEFAULT_UNIT_X, unitY: DEFAULT_UNIT_Y, positions: [] };
+    }
+    layouts[spreadName].positions[positionNumber - 1] = normalizePosition({
+      x: row[2],
+      y: row[3],
+      rotation: row[4],
+      labelDy: row[5]
+    });
+  });
+
+  // 番号が飛んでいる配置は使わない
+  Object.keys(layouts).forEach(spreadName => {
+    const positions = layouts[spreadName].positions;
+    if (positions.length === 0 || positions.includes(undefined)) {
+      console.warn(`Layout for ${spreadName} has missing positions, ignoring`);
+      delete layouts[spreadName];
+    }
+  });
+
+  return layouts;
+}
+
+// 配置がないスプレッド用のグリッド配置（最大5列、各行中央寄せ）
+function createGridLayout(cardCount) {
+  const maxCols = Math.min(cardCount, GRID_COLUMNS);
+  const positions = [];
+
+  for (let i = 0; i < cardCount; i++) {
+    const row = Math.floor(i / GRID_COLUMNS);
+    const col = i % GRID_COLUMNS;
+    const cardsInThisRow = Math.min(cardCount - (row * GRID_COLUMNS), GRID_COLUMNS);
+    positions.push(normalizePosition({ x: col + (maxCols - cardsInThisRow) / 2, y: row }));
+  }
+
+  return { unitX: DEFAULT_UNIT_X, unitY: DEFAULT_UNIT_Y, positions };
+}
+
+// 回転後のカードの半分の幅・高さ
+function rotatedHalfSize(rotation) {
+  const sideways = rotation === 90 || rotation === 270;
+  return {
+    halfWidth: (sideways ? CARD_HEIGHT : CARD_WIDTH) / 2,
+    halfHeight: (sideways ? CARD_WIDTH : CARD_HEIGHT) / 2
+  };
+}
+
+// 配置からキャンバスサイズと各カードの中心座標（px）を計算
+// 枚数が配置と合わない場合はグリッドにフォールバック
+function computeSpreadGeometry(layout, cardCount) {
+  const usable = layout && layout.positions.length === cardCount;
+  if (layout && !usable) {
+    console.warn(`Layout has ${layout.positions.length} positions for ${cardCount} cards, using grid`);
+  }
+  const { unitX, unitY, positions } = usable ? layout : createGridLayout(cardCount);
+
+  const slots = positions.map(position => {
+    const { halfWidth, halfHeight } = rotatedHalfSize(position.rotation);
+    return {
+      x: position.x * unitX,
+      y: position.y * unitY,
+      rotation: position.rotation,
+      halfWidth,
+      halfHeight,
+      labelY: position.y * unitY + halfHeight + 20 + position.labelDy
+    };
+  });
+
+  const minX = Math.min(...slots.map(slot => slot.x - slot.halfWidth));
+  const maxX = Math.max(...slots.map(slot => slot.x + slot.halfWidth));
+  const minY = Math.min(...slots.map(slot => slot.y - slot.halfHeight));
+  const maxY = Math.max(...slots.map(slot => Math.max(slot.y + slot.halfHeight, slot.labelY - 20) + LABEL_HEIGHT));
+
+  const width = Math.max(MIN_CANVAS_WIDTH, Math.ceil(maxX - minX + MARGIN_X * 2));
+  const height = Math.ceil(HEADER_HEIGHT + (maxY - minY) + BOTTOM_MARGIN);
+  const offsetX = (width - (maxX - minX)) / 2 - minX;
+  const offsetY = HEADER_HEIGHT - minY;
+
+  return {
+    width,
+    height,
+    cardWidth: CARD_WIDTH,
+    cardHeight: CARD_HEIGHT,
+    slots: slots.map(slot => ({
+      x: slot.x + offsetX,
+      y: slot.y + offsetY,
+      rotation: slot.rotation,
+      labelY: slot.labelY + offsetY
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_LAYOUTS_PATH,
+  loadLayoutsFromFile,
+  parseLayoutRows,
+  computeSpreadGeometry
+};
@@ -0,0 +1,212 @@
+const { DATA_LOCALE, t } = require('./i18n');
+
+// スプレッドの登録情報（表示名・略称・説明・位置ごとの絵文字・ヘルプ）
+// Spreadsシートの位置に、SpreadInfoシートまたは組み込みの既定値を組み合わせる
+// 他の言語の表示はSpreadInfo_<言語>シート（G列に位置名を | 区切り）または既定値の translations から
+
+// SpreadInfoシートがない場合の既定値
+const DEFAULT_SPREAD_INFO = {
+  one: {
+    name: 'ワンカード',
+    shortName: 'ワンカード',
+    description: '1枚で今の状況やヒントを占う',
+    help: 'ワンカード占い',
+    translations: {
+      en: { name: 'One Card', shortName: 'One Card', description: 'A single card for your situation or a hint', help: 'One-card reading', positions: ['Your card'] }
+    }
+  },
+  three: {
+    name: 'スリーカード',
+    shortName: 'スリーカード',
+    description: '過去・現在・未来の流れを占う',
+    help: 'スリーカード占い（過去・現在・未来）',
+    translations: {
+      en: { name: 'Three Cards', shortName: 'Three Cards', description: 'The flow of past, present and future', help: 'Three-card reading (past, present, future)', positions: ['Past', 'Present', 'Future'] }
+    }
+  },
+  celt: {
+    name: 'ケルト十字スプレッド',
+    shortName: 'ケルト十字',
+    description: '10枚で状況を詳しく読み解く',
+    help: 'ケルト十字占い（10枚）',
+    translations: {
+      en: {
+        name: 'Celtic Cross',
+        shortName: 'Celtic Cross',
+        description: 'Ten cards for a detailed look at the situation',
+        help: 'Celtic Cross reading (10 cards)',
+        positions: ['Present', 'Challenge', 'Goal', 'Foundation', 'Past', 'Near future', 'Yourself', 'Surroundings', 'Hopes and fears', 'Outcome']
+      }
+    }
+  },
+  kantan: {
+    name: 'かんたんスプレッド',
+    shortName: 'かんたん',
+    description: '原因・結果・対策を占う',
+    help: 'かんたんスプレッド（原因・結果・対策）',
+    translations: {
+      en: { name: 'Simple Spread', shortName: 'Simple', description: 'Cause, result and advice', help: 'Simple spread (cause, result, advice)', positions: ['Cause', 'Result', 'Advice'] }
+    }
+  },
+  nitaku: {
+    name: '二択スプレッド',
+    shortName: '二択',
+    description: 'AとBの選択肢を比較する',
+    help: '二択スプレッド（AとBの選択肢を比較）',
+    translations: {
+      en: {
+        name: 'Two Choices',
+        shortName: 'Two Choices',
+        description: 'Compare option A with option B',
+        help: 'Two-choice spread (compare A and B)',
+        positions: ['Current situation', 'If you choose A', 'If you choose B', 'Future of A', 'Future of B']
+      }
+    }
+  },
+  horse: {
+    name: 'ホースシュースプレッド',
+    shortName: 'ホースシュー',
+    description: '7枚で全体的な流れと状況を占う',
+    help: 'ホースシュースプレッド（7枚、全体的な流れと状況）',
+    emojis: ['📅', '🕐', '🔮', '💡', '👥', '⚠️', '🎯'],
+    translations: {
+      en: {
+        name: 'Horseshoe',
+        shortName: 'Horseshoe',
+        description: 'Seven cards for the overall flow and situation',
+        help: 'Horseshoe spread (7 cards, overall flow and situation)',
+        positions: ['Past', 'Present', 'Near future', 'Advice', 'Surroundings', 'Obstacles', 'Outcome']
+      }
+    }
+  }
+};
+
+function splitList(value) {
+  return (value || '').split(/[\s,、]+/).filter(Boolean);
+}
+
+// SpreadInfoシートの行を読み込む
+// 列: A:スプレッド名 B:表示名 C:略称 D:説明 E:位置ごとの絵文字（空白・カンマ区切り） F:ヘルプ G:位置名（| 区切り、翻訳用）
+function parseSpreadInfoRows(rows) {
+  const info = {};
+
+  rows.forEach(row => {
+    const key = (row[0] || '').trim();
+    if (key === '') {
+      return;
+    }
+    info[key] = {
+      name: row[1] || undefined,
+      shortName: row[2] || undefined,
+      description: row[3] || undefined,
+      emojis: row[4] ? splitList(row[4]) : undefined,
+      help: row[5] || undefined,
+      positions: row[6] ? row[6].split('|').map(name => name.trim()) : undefined
+    };
+  });
+
+  return info;
+}
+
+// 1つの言語の表示（既定値の位置名は枚数が同じときだけ使う）
+function createTranslation(info = {}, defaults = {}, positionCount) {
+  const translation = { ...defaults, ...omitUndefined(info) };
+  if (!info.positions && defaults.positions && defaults.positions.length !== positionCount) {
+    delete translation.positions;
+  }
+  return translation;
+}
+
+function omitUndefined(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+// 1つのスプレッドの登録情報を作成
+// translationsは言語ごとのSpreadInfo（{ en: { name, positions, ... } }）
+function createSpreadEntry(key, positionNames, info = {}, translations = {}) {
+  const defaults = findSpread(DEFAULT_SPREAD_INFO, key) || {};
+  const pick = field => (info[field] !== undefined ? info[field] : defaults[field]);
+
+  const name = pick('name') || key;
+  const emojis = pick('emojis') || [];
+  const defaultTranslations = defaults.translations || {};
+  const locales = new Set([...Object.keys(defaultTranslations), ...Object.keys(translations)]);
+
+  return {
+    key,
+    name,
+    shortName: pick('shortName') || name,
+    description: pick('description') || '',
+    help: pick('help') || t(DATA_LOCALE, 'slash.spreadChoice', { name, count: positionNames.length }),
+    positions: positionNames.map((positionName, index) => ({
+      name: positionName,
+      emoji: emojis[index] || null
+    })),
+    translations: Object.fromEntries([...locales].map(locale => [
+      locale,
+      createTranslation(translations[locale], defaultTranslations[locale], positionNames.length)
+    ]))
+  };
+}
+
+// 表示言語に合わせた登録情報（翻訳がない項目は元のまま）
+function localizeSpread(spread, locale) {
+  const translation = spread && spread.translations && spread.translations[locale];
+  if (!translation) {
+    return spread;
+  }
+
+  const { positions, ...fields } = translation;
+  return {
+    ...spread,
+    ...fields,
+    shortName: fields.shortName || fields.name || spread.shortName,
+    help: fields.help || (fields.name ? t(locale, 'slash.spreadChoice', { name: fields.name, count: spread.positions.length }) : spread.help),
+    positions: spread.positions.map((position, index) => ({
+      ...position,
+      name: (positions && positions[index]) || position.name
+    }))
+  };
+}
+
+// Spreadsシートの行とSpreadInfoシートの情報から登録情報を作成
+// translationsは言語ごとのSpreadInfo（{ en: { celt: {...} } }）
+function buildSpreadRegistry(spreadRows, info = {}, translations = {}) {
+  const registry = {};
+
+  spreadRows.forEach(row => {
+    const key = (row[0] || '').trim();
+    if (key === '') {
+      return;
+    }
+    const positions = row.slice(1).filter(pos => pos && pos.trim() !== '');
+    const spreadTranslations = Object.fromEntries(
+      Object.entries(translations)
+        .map(([locale, localeInfo]) => [locale, findSpread(localeInfo, key)])
+        .filter(([, localeInfo]) => localeInfo)
+    );
+    registry[key] = createSpreadEntry(key, positions, findSpread(info, key) || {}, spreadTranslations);
+  });
+
+  return registry;
+}
+
+// 登録情報からキーでスプレッドを探す（constructor などObjectの組み込みの名前は登録されていない扱い）
+function findSpread(registry, key) {
+  return typeof key === 'string' && Object.hasOwn(registry, key) ? registry[key] : null;
+}
+
+// 位置ごとに絵文字が設定されているか（見出し形式で表示するか）
+function hasPositionEmojis(spread) {
+  return Boolean(spread) && spread.positions.some(position => position.emoji);
+}
+
+module.exports = {
+  DEFAULT_SPREAD_INFO,
+  parseSpreadInfoRows,
+  createSpreadEntry,
+  buildSpreadRegistry,
+  findSpread,
+  localizeSpread,
+  hasPositionEmojis
+};
@@ -0,0 +1,118 @@
+const { SUITS, REVERSED, isMajorArcana, localizeCard } = require('./cardModel');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+// 占い履歴の集計（よく出るカード・スート・大/小アルカナ・逆位置率・スプレッド）
+
+const PERIODS = {
+  week: 7,
+  month: 30,
+  year: 365,
+  all: null
+};
+
+const TOP_LIMIT = 5;
+
+// "7d" "30d" "week" "month" "year" "all" を期間に変換（不正ならnull）
+function parsePeriod(text, now = new Date(), locale = DEFAULT_LOCALE) {
+  const key = (text || 'all').toLowerCase();
+  const daysMatch = key.match(/^(\d{1,4})d$/);
+
+  let days;
+  let label;
+  if (daysMatch) {
+    days = parseInt(daysMatch[1], 10);
+    label = t(locale, 'stats.periods.days', { days });
+  } else if (key in PERIODS) {
+    days = PERIODS[key];
+    label = t(locale, `stats.periods.${key}`);
+  } else {
+    return null;
+  }
+
+  return {
+    since: days ? new Date(now.getTime() - days * 24 * 60 * 60 * 1000) : null,
+    label
+  };
+}
+
+function countBy(items, keyOf) {
+  const counts = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+}
+
+function topEntries(counts, limit = TOP_LIMIT) {
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key, count]) => ({ key, count }));
+}
+
+// 保存済みレコードを集計（findCardはレコードの結果とレコードからカード情報を探す関数）
+// 大アルカナ・小アルカナ・スートはタロットのカードだけで数える（ルノルマンなどのデッキパックは対象外）
+function computeStats(records, findCard) {
+  const draws = [];
+  records.forEach(record => {
+    record.results.forEach(result => {
+      draws.push({ result, card: findCard(result, record) });
+    });
+  });
+
+  const known = draws.filter(draw => draw.card);
+  const cardsByName = new Map(known.map(draw => [draw.result.cardName, draw.card]));
+  const tarotCards = known.filter(draw => draw.card.tarot !== false);
+  const majorCount = tarotCards.filter(draw => isMajorArcana(draw.card)).length;
+  const reversedCount = draws.filter(draw => draw.result.orientation === REVERSED).length;
+  const suitCounts = countBy(known.filter(draw => draw.card.suit), draw => draw.card.suit);
+
+  return {
+    readingCount: records.length,
+    cardCount: draws.length,
+    topCards: topEntries(countBy(draws, draw => draw.result.cardName))
+      .map(entry => ({ ...entry, card: cardsByName.get(entry.key) || null })),
+    majorCount,
+    minorCount: tarotCards.length - majorCount,
+    suits: SUITS.map(suit => ({ key: suit.key, count: suitCounts.get(suit.key) || 0 })),
+    reversedCount,
+    reversalRate: draws.length > 0 ? reversedCount / draws.length : 0,
+    topSpreads: topEntries(countBy(records, record => record.spread))
+  };
+}
+
+function percent(part, total) {
+  return total > 0 ? `${Math.round(part / total * 100)}%` : '-';
+}
+
+// よく出るカードの表示名（カードデータにあれば表示言語の名前）
+function topCardLabel(entry, locale) {
+  return entry.card ? localizeCard(entry.card, locale).name : entry.key;
+}
+
+// 集計結果をテキストに（spreadNameOfはスプレッドの表示名を返す関数）
+function formatStats(stats, title, spreadNameOf, locale = DEFAULT_LOCALE) {
+  if (stats.readingCount === 0) {
+    return `📊 **${title}**\n\n${t(locale, 'stats.empty')}`;
+  }
+
+  const majorMinorTotal = stats.majorCount + stats.minorCount;
+  let message = `📊 **${title}**\n\n`;
+  message += `${t(locale, 'stats.readingCount', { readings: stats.readingCount, cards: stats.cardCount })}\n\n`;
+  message += `**${t(locale, 'stats.topCards')}**\n`;
+  message += stats.topCards.map((entry, index) => `${index + 1}. ${topCardLabel(entry, locale)} ×${entry.count}`).join('\n') + '\n\n';
+  message += `**${t(locale, 'stats.majorMinor')}**: ${percent(stats.majorCount, majorMinorTotal)} / ${percent(stats.minorCount, majorMinorTotal)}\n`;
+  message += `**${t(locale, 'stats.suits')}**: ${stats.suits.map(suit => `${t(locale, `suits.${suit.key}`)} ${suit.count}`).join(' / ')}\n`;
+  message += `**${t(locale, 'stats.reversalRate')}**: ${percent(stats.reversedCount, stats.cardCount)}\n\n`;
+  message += `**${t(locale, 'stats.topSpreads')}**\n`;
+  message += stats.topSpreads.map(entry => `• ${spreadNameOf(entry.key)} ×${entry.count}`).join('\n');
+  return message;
+}
+
+module.exports = {
+  topCardLabel,
+  parsePeriod,
+  computeStats,
+  formatStats
+};
@@ -0,0 +1,136 @@
+const { createCanvas } = require('canvas');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+const { topCardLabel } = require('./stats');
+const { themeFont } = require('./themes');
+
+// 占い統計のグラフ画像
+
+const WIDTH = 900;
+const HEIGHT = 580;
+
+const SUIT_COLORS = {
+  wands: '#e67e22',
+  cups: '#3498db',
+  swords: '#95a5a6',
+  pentacles: '#f1c40f'
+};
+
+function drawPanelTitle(ctx, theme, text, x, y) {
+  ctx.fillStyle = theme.title;
+  ctx.font = themeFont(theme, 16, true);
+  ctx.textAlign = 'left';
+  ctx.fillText(text, x, y);
+}
+
+// 横棒グラフ（ラベル・棒・件数）
+function drawHorizontalBars(ctx, theme, entries, { x, y, width, color }) {
+  const max = Math.max(1, ...entries.map(entry => entry.count));
+  const labelWidth = 150;
+  const barArea = width - labelWidth - 40;
+
+  entries.forEach((entry, index) => {
+    const rowY = y + index * 34;
+    ctx.fillStyle = theme.text;
+    ctx.font = themeFont(theme, 13);
+    ctx.textAlign = 'right';
+    ctx.fillText(entry.label, x + labelWidth - 10, rowY + 16);
+
+    const barWidth = Math.max(2, barArea * entry.count / max);
+    ctx.fillStyle = color;
+    ctx.fillRect(x + labelWidth, rowY + 2, barWidth, 20);
+
+    ctx.fillStyle = theme.text;
+    ctx.textAlign = 'left';
+    ctx.fillText(String(entry.count), x + labelWidth + barWidth + 8, rowY + 16);
+  });
+}
+
+// 割合の帯グラフ（2区分）
+function drawRatioBar(ctx, theme, { x, y, width, left, right }) {
+  const total = left.count + right.count;
+  const leftWidth = total > 0 ? width * left.count / total : width / 2;
+
+  ctx.fillStyle = left.color;
+  ctx.fillRect(x, y, leftWidth, 26);
+  ctx.fillStyle = right.color;
+  ctx.fillRect(x + leftWidth, y, width - leftWidth, 26);
+
+  const percent = count => (total > 0 ? `${Math.round(count / total * 100)}%` : '-');
+  ctx.fillStyle = theme.text;
+  ctx.font = themeFont(theme, 13);
+  ctx.textAlign = 'left';
+  ctx.fillText(`${left.label} ${percent(left.count)}`, x, y + 46);
+  ctx.textAlign = 'right';
+  ctx.fillText(`${right.label} ${percent(right.count)}`, x + width, y + 46);
+}
+
+// 集計結果からPNGを作成（色とフォントはテーマに合わせる）
+function renderStatsChart(stats, title, spreadNameOf, locale = DEFAULT_LOCALE, theme) {
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = theme.background;
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  ctx.fillStyle = theme.title;
+  ctx.font = themeFont(theme, 24, true);
+  ctx.textAlign = 'center';
+  ctx.fillText(title, WIDTH / 2, 40);
+  ctx.fillStyle = theme.text;
+  ctx.font = themeFont(theme, 14);
+  ctx.fillText(t(locale, 'stats.chart.subtitle', { readings: stats.readingCount, cards: stats.cardCount }), WIDTH / 2, 64);
+
+  ctx.strokeStyle = theme.divider;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(50, 80);
+  ctx.lineTo(WIDTH - 50, 80);
+  ctx.stroke();
+
+  // よく出るカード
+  drawPanelTitle(ctx, theme, t(locale, 'stats.topCards'), 40, 112);
+  drawHorizontalBars(ctx, theme, stats.topCards.map(entry => ({ label: topCardLabel(entry, locale), count: entry.count })), {
+    x: 40, y: 125, width: 400, color: theme.upright
+  });
+
+  // スート（縦棒）
+  drawPanelTitle(ctx, theme, t(locale, 'stats.suits'), 480, 112);
+  const maxSuit = Math.max(1, ...stats.suits.map(suit => suit.count));
+  stats.suits.forEach((suit, index) => {
+    const barX = 500 + index * 90;
+    const barHeight = 130 * suit.count / maxSuit;
+    ctx.fillStyle = SUIT_COLORS[suit.key];
+    ctx.fillRect(barX, 265 - barHeight, 50, Math.max(2, barHeight));
+
+    ctx.fillStyle = theme.text;
+    ctx.font = themeFont(theme, 13);
+    ctx.textAlign = 'center';
+    ctx.fillText(String(suit.count), barX + 25, 258 - barHeight);
+    ctx.fillText(t(locale, `suits.${suit.key}`), barX + 25, 285);
+  });
+
+  // よく使うスプレッド
+  drawPanelTitle(ctx, theme, t(locale, 'stats.topSpreads'), 40, 342);
+  drawHorizontalBars(ctx, theme, stats.topSpreads.map(entry => ({ label: spreadNameOf(entry.key), count: entry.count })), {
+    x: 40, y: 355, width: 400, color: '#9b59b6'
+  });
+
+  // 大アルカナ / 小アルカナ、正位置 / 逆位置
+  drawPanelTitle(ctx, theme, t(locale, 'stats.majorMinor'), 480, 342);
+  drawRatioBar(ctx, theme, {
+    x: 480, y: 358, width: 380,
+    left: { label: t(locale, 'card.major'), count: stats.majorCount, color: '#8e44ad' },
+    right: { label: t(locale, 'card.minor'), count: stats.minorCount, color: '#2980b9' }
+  });
+
+  drawPanelTitle(ctx, theme, t(locale, 'stats.chart.orientation'), 480, 452);
+  drawRatioBar(ctx, theme, {
+    x: 480, y: 468, width: 380,
+    left: { label: t(locale, 'card.upright'), count: stats.cardCount - stats.reversedCount, color: theme.upright },
+    right: { label: t(locale, 'card.reversed'), count: stats.reversedCount, color: theme.reversed }
+  });
+
+  return canvas.toBuffer('image/png');
+}
+
+module.exports = { renderStatsChart };
@@ -0,0 +1,176 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { sortNewestFirst, matchesFilter } = require('./records');
+
+// ローカルのJSON Linesファイルに占い結果を保存するストア
+// Google認証情報なしで動かす場合や、履歴が大きくなった場合に使う
+class FileReadingStore {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.byUser = null;
+    this.byId = new Map();
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // ファイルを読み込み、ユーザー別のインデックスを作成
+  async loadIndex() {
+    const byUser = new Map();
+    const byId = new Map();
+    let content = '';
+
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    // 同じIDの行が複数ある場合は後の行（update で追記したもの）を最初の行の位置で使う
+    const records = [];
+    const positionById = new Map();
+    content.split('\n').forEach((line, index) => {
+      if (line.trim() === '') {
+        return;
+      }
+      try {
+        const record = JSON.parse(line);
+        if (record.id && positionById.has(record.id)) {
+          records[positionById.get(record.id)] = record;
+        } else {
+          if (record.id) {
+            positionById.set(record.id, records.length);
+          }
+          records.push(record);
+        }
+        if (record.id) {
+          byId.set(record.id, record);
+        }
+      } catch (error) {
+        console.error(`Skipping invalid reading record at line ${index + 1}:`, error.message);
+      }
+    });
+
+    records.forEach(record => {
+      if (!byUser.has(record.userId)) {
+        byUser.set(record.userId, []);
+      }
+      byUser.get(record.userId).push(record);
+    });
+
+    byUser.forEach(records => sortNewestFirst(records));
+    this.byUser = byUser;
+    this.byId = byId;
+    console.log(`Loaded reading history for ${byUser.size} users from ${this.filePath}`);
+  }
+
+  async ensureIndex() {
+    if (this.byUser) {
+      return;
+    }
+    if (!this.loading) {
+      this.loading = this.loadIndex().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  // 書き込みを直列化して同時保存でファイルが壊れないようにする
+  enqueueWrite(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  async save(record) {
+    await this.ensureIndex();
+
+    await this.enqueueWrite(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, JSON.stringify(record) + '\n', 'utf8');
+    });
+
+    const records = this.byUser.get(record.userId) || [];
+    records.unshift(record);
+    this.byUser.set(record.userId, records);
+    this.byId.set(record.id, record);
+  }
+
+  // レコードを更新（updaterはコピーを直接変更する）、更新後の行を追記する
+  // 書き込みに失敗したらインデックスは前のまま（メモリとファイルの内容をそろえる）
+  async update(id, updater) {
+    await this.ensureIndex();
+    const current = this.byId.get(id);
+    if (!current) {
+      return null;
+    }
+
+    const record = JSON.parse(JSON.stringify(current));
+    updater(record);
+    await this.enqueueWrite(async () => {
+      await fs.appendFile(this.filePath, JSON.stringify(record) + '\n', 'utf8');
+    });
+
+    const records = this.byUser.get(record.userId) || [];
+    const index = records.indexOf(current);
+    if (index >= 0) {
+      records[index] = record;
+    }
+    this.byId.set(id, record);
+    return record;
+  }
+
+  // ユーザーの記録をすべて削除（そのユーザーの行を除いてファイルを書き直す）、削除した件数を返す
+  async deleteByUser(userId) {
+    await this.ensureIndex();
+    const removed = this.byUser.get(userId) || [];
+    if (removed.length === 0) {
+      return 0;
+    }
+
+    await this.enqueueWrite(async () => {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const kept = content.split('\n').filter(line => {
+        if (line.trim() === '') {
+          return false;
+        }
+        try {
+          return JSON.parse(line).userId !== userId;
+        } catch (error) {
+          // 読めない行はそのまま残す
+          return true;
+        }
+      });
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, kept.map(line => `${line}\n`).join(''), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    });
+
+    this.byUser.delete(userId);
+    removed.forEach(record => this.byId.delete(record.id));
+    return removed.length;
+  }
+
+  async getHistory(userId, limit) {
+    await this.ensureIndex();
+    return (this.byUser.get(userId) || []).slice(0, limit);
+  }
+
+  // 条件に合う履歴（新しい順）、userIdがなければ全ユーザーから探す
+  async find(filter = {}) {
+    await this.ensureIndex();
+    const records = filter.userId
+      ? this.byUser.get(filter.userId) || []
+      : sortNewestFirst([...this.byUser.values()].flat());
+    return records.filter(record => matchesFilter(record, filter));
+  }
+
+  async getById(id) {
+    await this.ensureIndex();
+    return this.byId.get(id) || null;
+  }
+}
+
+module.exports = { FileReadingStore };
@@ -0,0 +1,30 @@
+const path = require('path');
+const { SheetsReadingStore } = require('./sheetsReadingStore');
+const { FileReadingStore } = require('./fileReadingStore');
+const { toRecord, sortNewestFirst } = require('./records');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', '..', 'data', 'readings.jsonl');
+
+// 設定に応じて占い結果ストアを作成
+// backend: 'sheets'（Google Sheets）または 'file'（ローカルファイル）
+function createReadingStore({ backend, sheets, spreadsheetId, filePath }) {
+  switch (backend) {
+    case 'sheets':
+      if (!sheets) {
+        throw new Error('READING_STORE=sheets requires Google credentials');
+      }
+      return new SheetsReadingStore({ sheets, spreadsheetId });
+
+    case 'file':
+      return new FileReadingStore({ filePath: filePath || DEFAULT_FILE_PATH });
+
+    default:
+      throw new Error(`Unknown reading store backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  createReadingStore,
+  toRecord,
+  sortNewestFirst
+};
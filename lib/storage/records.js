@@ -0,0 +1,75 @@
+// 占い結果の保存用レコード変換
+
+// 旧形式の結果文字列: "位置:カード名(正位置), 位置:カード名(逆位置)"
+const LEGACY_RESULT_PATTERN = /^(.*?):(.*)\((正位置|逆位置)\)$/;
+
+// performReadingの結果を保存用の構造化レコードに変換
+function toRecord(reading) {
+  return {
+    id: reading.id,
+    seed: reading.seed,
+    options: reading.options,
+    timestamp: reading.timestamp,
+    userId: reading.userId,
+    guildId: reading.guildId || null,
+    ...(reading.dailyDate ? { dailyDate: reading.dailyDate } : {}),
+    visibility: reading.visibility || 'private',
+    ...(reading.locale ? { locale: reading.locale } : {}),
+    question: reading.question,
+    spread: reading.spread,
+    results: reading.results.map(result => ({
+      position: result.position,
+      cardId: result.card.id,
+      cardName: result.card.name,
+      orientation: result.card.position,
+      ...(result.drawnBy ? { drawnBy: result.drawnBy } : {})
+    }))
+  };
+}
+
+// スプレッドシート表示用のフラットな結果文字列
+function formatResultText(results) {
+  return results
+    .map(r => `${r.position}:${r.cardName}(${r.orientation})`)
+    .join(', ');
+}
+
+// 旧形式の結果文字列を構造化データに戻す（カードIDは復元できない）
+function parseResultText(text) {
+  if (!text) {
+    return [];
+  }
+
+  return text.split(', ').map(part => {
+    const match = part.match(LEGACY_RESULT_PATTERN);
+    if (!match) {
+      return { position: part, cardId: null, cardName: part, orientation: null };
+    }
+    return { position: match[1], cardId: null, cardName: match[2], orientation: match[3] };
+  });
+}
+
+// 新しい順に並べ替え
+function sortNewestFirst(records) {
+  return records.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+// 履歴の絞り込み（userId・guildId・spread・keyword（質問の部分一致）・since/until は Date）
+function matchesFilter(record, { userId, guildId, spread, keyword, since, until } = {}) {
+  if (userId && record.userId !== userId) return false;
+  if (guildId && record.guildId !== guildId) return false;
+  if (spread && record.spread !== spread) return false;
+  if (keyword && !(record.question || '').toLowerCase().includes(keyword.toLowerCase())) return false;
+  const time = new Date(record.timestamp);
+  if (since && time < since) return false;
+  if (until && time >= until) return false;
+  return true;
+}
+
+module.exports = {
+  matchesFilter,
+  toRecord,
+  formatResultText,
+  parseResultText,
+  sortNewestFirst
+};
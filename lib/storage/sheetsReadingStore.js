@@ -0,0 +1,267 @@
+const { formatResultText, parseResultText, sortNewestFirst, matchesFilter } = require('./records');
+
+const READINGS_SHEET = 'Readings';
+const READINGS_RANGE = `${READINGS_SHEET}!A:F`;
+const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Appendの応答の更新範囲（例: "Readings!A15:F15"）から行番号を取り出す
+const APPENDED_ROW_PATTERN = /![A-Z]+(\d+)/;
+
+// Google Sheets（Readingsシート）に占い結果を保存するストア
+// A〜E列は従来どおりの表示用、F列に構造化レコードをJSONで保存する
+// シート全体の読み込みは最初とキャッシュの期限切れのときだけ（保存・更新・削除はインデックスに直接反映する）
+// 履歴が大きくなる場合はファイルのストアを使う
+class SheetsReadingStore {
+  constructor({ sheets, spreadsheetId, cacheTtlMs = DEFAULT_CACHE_TTL_MS }) {
+    this.sheets = sheets;
+    this.spreadsheetId = spreadsheetId;
+    this.cacheTtlMs = cacheTtlMs;
+    this.byUser = null;
+    this.byId = new Map();
+    this.rowById = new Map();
+    this.rowsByUser = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  // 行データをレコードに変換（F列がない旧データにも対応）
+  rowToRecord(row) {
+    if (row[5]) {
+      try {
+        return JSON.parse(row[5]);
+      } catch (error) {
+        console.error('Invalid reading record JSON, falling back to columns:', error.message);
+      }
+    }
+
+    return {
+      timestamp: row[0],
+      userId: row[1],
+      question: row[2],
+      spread: row[3],
+      results: parseResultText(row[4])
+    };
+  }
+
+  // シート全体を読み込み、ユーザー別のインデックスを作成
+  async loadIndex() {
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: READINGS_RANGE,
+    });
+
+    const byUser = new Map();
+    const byId = new Map();
+    const rowById = new Map();
+    const rowsByUser = new Map();
+    const rows = response.data.values || [];
+    rows.slice(1).forEach((row, index) => {
+      const record = this.rowToRecord(row);
+      if (!byUser.has(record.userId)) {
+        byUser.set(record.userId, []);
+        rowsByUser.set(record.userId, []);
+      }
+      byUser.get(record.userId).push(record);
+      rowsByUser.get(record.userId).push(index + 2);
+      if (record.id) {
+        byId.set(record.id, record);
+        // 見出し行の次が2行目
+        rowById.set(record.id, index + 2);
+      }
+    });
+
+    byUser.forEach(records => sortNewestFirst(records));
+    this.byUser = byUser;
+    this.byId = byId;
+    this.rowById = rowById;
+    this.rowsByUser = rowsByUser;
+    this.loadedAt = Date.now();
+  }
+
+  // 読み込み中なら同じ読み込みを待つ（同時に呼ばれてもシートの取得は1回）
+  async ensureIndex({ force = false } = {}) {
+    if (!force && this.byUser && Date.now() - this.loadedAt <= this.cacheTtlMs) {
+      return;
+    }
+    if (!this.loading) {
+      this.loading = this.loadIndex().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  // 削除した行より下の行番号を詰める
+  shiftRowsAfterDelete(deletedRows) {
+    const shift = rowNumber => rowNumber - deletedRows.filter(deleted => deleted < rowNumber).length;
+    this.rowById.forEach((rowNumber, id) => this.rowById.set(id, shift(rowNumber)));
+    this.rowsByUser.forEach((rowNumbers, userId) => this.rowsByUser.set(userId, rowNumbers.map(shift)));
+  }
+
+  // インデックスの行番号の行がまだそのレコードか（シートを手で編集された場合に備える）
+  async isRowCurrent(id, rowNumber) {
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${READINGS_SHEET}!F${rowNumber}`,
+    });
+    const cell = ((response.data.values || [])[0] || [])[0];
+    if (!cell) {
+      return false;
+    }
+    try {
+      return JSON.parse(cell).id === id;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // インデックスのユーザーの行（B列）がまだそのユーザーのものか
+  async areUserRowsCurrent(userId, rowNumbers) {
+    if (rowNumbers.length === 0) {
+      return true;
+    }
+    const response = await this.sheets.spreadsheets.values.batchGet({
+      spreadsheetId: this.spreadsheetId,
+      ranges: rowNumbers.map(rowNumber => `${READINGS_SHEET}!B${rowNumber}`),
+    });
+    return (response.data.valueRanges || []).length === rowNumbers.length &&
+      response.data.valueRanges.every(range => ((range.values || [])[0] || [])[0] === userId);
+  }
+
+  recordToRow(record) {
+    return [
+      record.timestamp,
+      record.userId,
+      record.question,
+      record.spread,
+      formatResultText(record.results),
+      JSON.stringify(record)
+    ];
+  }
+
+  async save(record) {
+    await this.ensureIndex();
+    const row = this.recordToRow(record);
+
+    const response = await this.sheets.spreadsheets.values.append({
+      spreadsheetId: this.spreadsheetId,
+      range: READINGS_RANGE,
+      valueInputOption: 'RAW',
+      resource: {
+        values: [row]
+      }
+    });
+
+    // シートを読み直さずにインデックスにも反映
+    const records = this.byUser.get(record.userId) || [];
+    records.unshift(record);
+    this.byUser.set(record.userId, records);
+    this.byId.set(record.id, record);
+
+    const updates = response && response.data && response.data.updates;
+    const match = updates && updates.updatedRange && updates.updatedRange.match(APPENDED_ROW_PATTERN);
+    if (!match) {
+      // 追記した行がわからなければ次に使うときに読み直す
+      this.loadedAt = 0;
+      return;
+    }
+    const rowNumber = Number(match[1]);
+    this.rowById.set(record.id, rowNumber);
+    this.rowsByUser.set(record.userId, [...(this.rowsByUser.get(record.userId) || []), rowNumber]);
+  }
+
+  // レコードを更新（updaterはレコードを直接変更する）、その行を書き換える
+  async update(id, updater) {
+    await this.ensureIndex();
+    let rowNumber = this.rowById.get(id);
+    // 行がずれていたときだけシート全体を読み直す
+    if (rowNumber && !(await this.isRowCurrent(id, rowNumber))) {
+      await this.ensureIndex({ force: true });
+      rowNumber = this.rowById.get(id);
+    }
+    const record = this.byId.get(id);
+    if (!record || !rowNumber) {
+      return null;
+    }
+
+    updater(record);
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId: this.spreadsheetId,
+      range: `${READINGS_SHEET}!A${rowNumber}:F${rowNumber}`,
+      valueInputOption: 'RAW',
+      resource: {
+        values: [this.recordToRow(record)]
+      }
+    });
+    return record;
+  }
+
+  // ユーザーの行をすべて削除、削除した件数を返す
+  async deleteByUser(userId) {
+    await this.ensureIndex();
+    // 行がずれていると別の人の行を消してしまうので、そのときだけシート全体を読み直す
+    if (!(await this.areUserRowsCurrent(userId, this.rowsByUser.get(userId) || []))) {
+      await this.ensureIndex({ force: true });
+    }
+    const rowNumbers = this.rowsByUser.get(userId) || [];
+    if (rowNumbers.length === 0) {
+      return 0;
+    }
+
+    // 下の行から消して、消していない行の番号がずれないようにする
+    const sheetId = await this.getSheetId();
+    await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      resource: {
+        requests: [...rowNumbers].sort((a, b) => b - a).map(rowNumber => ({
+          deleteDimension: {
+            range: { sheetId, dimension: 'ROWS', startIndex: rowNumber - 1, endIndex: rowNumber }
+          }
+        }))
+      }
+    });
+
+    (this.byUser.get(userId) || []).forEach(record => {
+      this.byId.delete(record.id);
+      this.rowById.delete(record.id);
+    });
+    this.byUser.delete(userId);
+    this.rowsByUser.delete(userId);
+    this.shiftRowsAfterDelete(rowNumbers);
+    return rowNumbers.length;
+  }
+
+  // Readingsシートの数値ID（行の削除に必要）
+  async getSheetId() {
+    const response = await this.sheets.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId,
+      fields: 'sheets.properties(sheetId,title)'
+    });
+    const sheet = response.data.sheets.find(entry => entry.properties.title === READINGS_SHEET);
+    if (!sheet) {
+      throw new Error(`${READINGS_SHEET} sheet not found`);
+    }
+    return sheet.properties.sheetId;
+  }
+
+  async getHistory(userId, limit) {
+    await this.ensureIndex();
+    return (this.byUser.get(userId) || []).slice(0, limit);
+  }
+
+  // 条件に合う履歴（新しい順）、userIdがなければ全ユーザーから探す
+  async find(filter = {}) {
+    await this.ensureIndex();
+    const records = filter.userId
+      ? this.byUser.get(filter.userId) || []
+      : sortNewestFirst([...this.byUser.values()].flat());
+    return records.filter(record => matchesFilter(record, filter));
+  }
+
+  async getById(id) {
+    await this.ensureIndex();
+    return this.byId.get(id) || null;
+  }
+}
+
+module.exports = { SheetsReadingStore };
@@ -0,0 +1,131 @@
+const { SUITS, REVERSED, isMajorArcana, isCourtCard } = require('./cardModel');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+// スプレッド全体の傾向（カードのメタデータだけで組み立てるルールベースのまとめ）
+// 文言は locales/*.json の synthesis（エレメント・数のテーマもカタログにある）
+
+function countBy(items, keyOf) {
+  const counts = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (key !== null && key !== undefined) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  });
+  return counts;
+}
+
+function describeMajors(cards, locale) {
+  const majors = cards.filter(isMajorArcana).length;
+  if (majors === 0) {
+    return t(locale, 'synthesis.noMajors');
+  }
+  const key = majors * 2 >= cards.length ? 'synthesis.manyMajors' : 'synthesis.someMajors';
+  return t(locale, key, { count: majors, total: cards.length });
+}
+
+// 一番多いエレメント（2枚以上で、単独トップのときだけ）
+function describeElement(cards, locale) {
+  const ranked = [...countBy(cards, card => card.element)].sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0 || ranked[0][1] < 2 || (ranked[1] && ranked[1][1] === ranked[0][1])) {
+    return null;
+  }
+
+  const [element, count] = ranked[0];
+  const suit = SUITS.find(entry => entry.element === element);
+  const elementLabel = t(locale, `synthesis.elements.${element}`);
+  const label = suit ? t(locale, 'synthesis.suitElement', { suit: t(locale, `suits.${suit.key}`), element: elementLabel }) : elementLabel;
+  return t(locale, 'synthesis.dominantElement', { label, count, theme: t(locale, `synthesis.elementThemes.${element}`) });
+}
+
+// 小アルカナの数札（1〜10）で2枚以上出た数
+function describeNumbers(cards, locale) {
+  const repeated = [...countBy(cards.filter(card => card.suit && card.number >= 1 && card.number <= 10), card => card.number)]
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+
+  return repeated.map(([number, count]) => t(locale, 'synthesis.repeatedNumber', {
+    number,
+    count,
+    theme: t(locale, `synthesis.numberThemes.${number}`)
+  }));
+}
+
+function describeCourts(cards, locale) {
+  const courts = cards.filter(isCourtCard).length;
+  return courts >= 2 ? t(locale, 'synthesis.courts', { count: courts }) : null;
+}
+
+function describeReversals(cards, options, locale) {
+  if (options && options.reversals === false) {
+    return null;
+  }
+
+  const reversed = cards.filter(card => card.position === REVERSED).length;
+  if (reversed === 0) {
+    return t(locale, 'synthesis.allUpright');
+  }
+
+  const percent = Math.round((reversed / cards.length) * 100);
+  const key = reversed * 2 >= cards.length ? 'synthesis.manyReversed' : 'synthesis.someReversed';
+  return t(locale, key, { count: reversed, percent });
+}
+
+// 正位置+1・逆位置-1、大アルカナは2倍の重み
+function scoreCards(cards) {
+  return cards.reduce((score, card) => {
+    const value = card.position === REVERSED ? -1 : 1;
+    return score + (isMajorArcana(card) ? value * 2 : value);
+  }, 0);
+}
+
+// 二択: 位置名の A/B で分け、見つからなければ既定の並び（2・4枚目がA、3・5枚目がB）
+function describeChoices(results, locale) {
+  const sideOf = pattern => results.filter(result => pattern.test(result.position)).map(result => result.card);
+  let a = sideOf(/[AＡ]/);
+  let b = sideOf(/[BＢ]/);
+  if (a.length === 0 || b.length === 0) {
+    a = [results[1], results[3]].filter(Boolean).map(result => result.card);
+    b = [results[2], results[4]].filter(Boolean).map(result => result.card);
+  }
+  if (a.length === 0 || b.length === 0) {
+    return null;
+  }
+
+  const scoreA = scoreCards(a);
+  const scoreB = scoreCards(b);
+  if (scoreA === scoreB) {
+    return t(locale, 'synthesis.choicesEven');
+  }
+
+  const [better, worse] = scoreA > scoreB ? ['A', 'B'] : ['B', 'A'];
+  return t(locale, 'synthesis.choicesBetter', { better, worse });
+}
+
+// 「全体の傾向」の文章（2枚未満の占いでは空文字）
+function synthesizeReading(reading, locale = DEFAULT_LOCALE) {
+  const results = reading.results || [];
+  // タロット以外のデッキパック（ルノルマン・オラクルなど）は大アルカナ・スート・数の意味がないのでまとめない
+  if (results.length < 2 || results.some(result => result.card.tarot === false)) {
+    return '';
+  }
+
+  const cards = results.map(result => result.card);
+  const sentences = [
+    describeMajors(cards, locale),
+    describeElement(cards, locale),
+    ...describeNumbers(cards, locale),
+    describeCourts(cards, locale),
+    describeReversals(cards, reading.options, locale)
+  ];
+
+  if (reading.spread === 'nitaku') {
+    sentences.push(describeChoices(results, locale));
+  }
+
+  return sentences.filter(Boolean).join(t(locale, 'synthesis.separator'));
+}
+
+module.exports = {
+  synthesizeReading
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { registerFont } = require('canvas');
+
+// 画像のテーマ（背景・文字色・枠・カードの裏面・フォント）
+// config/themes.json で定義し、省略した項目は classic の値を使う
+
+const DEFAULT_THEMES_PATH = path.join(__dirname, '..', 'config', 'themes.json');
+const DEFAULT_THEME = 'classic';
+
+// 共有用の高解像度出力の倍率
+const HIRES_SCALE = 2;
+
+// 同梱の日本語フォント（@expo-google-fonts/noto-sans-jp）
+function bundledFontPath(file) {
+  try {
+    return path.join(path.dirname(require.resolve('@expo-google-fonts/noto-sans-jp/package.json')), file);
+  } catch (error) {
+    return null;
+  }
+}
+
+const DEFAULT_FONT = {
+  family: 'Noto Sans JP',
+  files: [
+    { path: bundledFontPath('400Regular/NotoSansJP_400Regular.ttf'), weight: 'normal' },
+    { path: bundledFontPath('700Bold/NotoSansJP_700Bold.ttf'), weight: 'bold' }
+  ]
+};
+
+const BUILTIN_THEME = {
+  name: 'クラシック',
+  translations: { en: { name: 'Classic' } },
+  background: '#1a1a2e',
+  title: '#ffffff',
+  text: '#ffffff',
+  divider: '#666666',
+  upright: '#4ecdc4',
+  reversed: '#ff6b6b',
+  frame: { color: null, width: 0 },
+  cardBack: { image: null, background: '#2C3E50', pattern: '#ECF0F1' },
+  placeholder: { background: '#2C3E50', border: '#ECF0F1', text: '#ECF0F1' },
+  font: DEFAULT_FONT
+};
+
+// 設定ファイル内のパスは config/ からの相対パス
+function resolveFile(filePath, baseDir) {
+  return filePath && !path.isAbsolute(filePath) ? path.join(baseDir, filePath) : filePath;
+}
+
+function normalizeTheme(key, raw, baseDir) {
+  const font = raw.font
+    ? {
+      family: raw.font.family || DEFAULT_FONT.family,
+      files: (raw.font.files || []).map(file => ({ ...file, path: resolveFile(file.path, baseDir) }))
+    }
+    : DEFAULT_FONT;
+  const cardBack = { ...BUILTIN_THEME.cardBack, ...raw.cardBack };
+
+  return {
+    ...BUILTIN_THEME,
+    ...raw,
+    key,
+    frame: { ...BUILTIN_THEME.frame, ...raw.frame },
+    cardBack: { ...cardBack, image: resolveFile(cardBack.image, baseDir) },
+    placeholder: { ...BUILTIN_THEME.placeholder, ...raw.placeholder },
+    font
+  };
+}
+
+// JSONファイルからテーマを読み込む（読めなければ組み込みの classic だけ）
+function loadThemesFromFile(filePath = DEFAULT_THEMES_PATH) {
+  const themes = { [DEFAULT_THEME]: normalizeTheme(DEFAULT_THEME, {}, '') };
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const baseDir = path.dirname(filePath);
+    Object.keys(raw).forEach(key => {
+      themes[key.toLowerCase()] = normalizeTheme(key.toLowerCase(), raw[key], baseDir);
+    });
+  } catch (error) {
+    console.error(`Error loading themes from ${filePath}:`, error.message);
+  }
+
+  return themes;
+}
+
+// テーマのフォントを登録（canvasを作る前に呼ぶ）
+// 同じファイルは一度だけ登録し、見つからないファイルは警告して飛ばす
+function registerThemeFonts(themes) {
+  const registered = new Set();
+
+  Object.values(themes).forEach(theme => {
+    theme.font.files.forEach(file => {
+      const id = `${theme.font.family}:${file.path}`;
+      if (!file.path || registered.has(id)) {
+        return;
+      }
+      if (!fs.existsSync(file.path)) {
+        console.warn(`Font file not found for theme ${theme.key}: ${file.path}`);
+        return;
+      }
+      registerFont(file.path, { family: theme.font.family, weight: file.weight || 'normal', style: file.style || 'normal' });
+      registered.add(id);
+    });
+  });
+
+  console.log(`Registered ${registered.size} font files`);
+}
+
+function getTheme(themes, key) {
+  return themes[key] || themes[DEFAULT_THEME];
+}
+
+// ctx.font に渡す文字列（"bold 12px "Noto Sans JP", sans-serif"）
+function themeFont(theme, size, bold = false) {
+  return `${bold ? 'bold ' : ''}${size}px "${theme.font.family}", sans-serif`;
+}
+
+// 表示言語でのテーマ名
+function getThemeName(theme, locale) {
+  const translation = theme.translations && theme.translations[locale];
+  return (translation && translation.name) || theme.name || theme.key;
+}
+
+module.exports = {
+  DEFAULT_THEMES_PATH,
+  DEFAULT_THEME,
+  HIRES_SCALE,
+  loadThemesFromFile,
+  registerThemeFonts,
+  getTheme,
+  themeFont,
+  getThemeName
+};
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SettingsStore } = require('../lib/settingsStore');
+const {
+  findCustomSpread,
+  getCustomSpreadEntry,
+  validateCustomSpread,
+  saveCustomSpread,
+  deleteCustomSpread
+} = require('../lib/customSpreads');
+
+function createStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'custom-spreads-'));
+  return new SettingsStore({ filePath: path.join(dir, 'settings.json') });
+}
+
+test('keys named like Object.prototype members are new spreads', async () => {
+  const store = createStore();
+  const context = { guildId: 'g1', userId: 'u1' };
+  const options = { reservedKeys: new Set(), deckSize: 78 };
+
+  assert.equal(findCustomSpread(store, context, 'constructor'), null);
+  assert.equal(getCustomSpreadEntry(store, context, 'toString'), null);
+  assert.equal(validateCustomSpread('constructor', ['A', 'B'], options), null);
+  assert.equal(await deleteCustomSpread(store, context, 'constructor'), false);
+
+  assert.equal(await saveCustomSpread(store, context, 'constructor', ['A', 'B']), true);
+  assert.equal(findCustomSpread(store, context, 'constructor').createdBy, 'u1');
+  assert.equal(getCustomSpreadEntry(store, context, 'constructor').positions.length, 2);
+  assert.equal(await deleteCustomSpread(store, context, 'constructor'), true);
+  assert.equal(findCustomSpread(store, context, 'constructor'), null);
+});
+
+test('rejects __proto__ as a spread key', () => {
+  assert.notEqual(validateCustomSpread('__proto__', ['A'], { reservedKeys: new Set(), deckSize: 78 }), null);
+});
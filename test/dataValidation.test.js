@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCardRows } = require('../lib/cardModel');
+const { validateDataSet, validateDeckPack, formatReloadReport } = require('../lib/dataValidation');
+const { createSheetPack, parseDeckRows } = require('../lib/deckPacks');
+
+function cardRows(count, overrides = {}) {
+  return Array.from({ length: count }, (_, index) => overrides[index] || [String(index), `カード${index}`, 'オラクル', `意味${index}`]);
+}
+
+function dataSet(rows, spreads) {
+  const { cards, errors, warnings } = parseCardRows(rows);
+  return { cards, spreads, cardErrors: errors, cardWarnings: warnings };
+}
+
+const spreads = {
+  single: { key: 'single', positions: [{ name: '現在' }] },
+  three: { key: 'three', positions: [{ name: '過去' }, { name: '現在' }, { name: '未来' }] }
+};
+
+test('a complete data set has no errors', async () => {
+  const { errors, warnings } = await validateDataSet(dataSet(cardRows(3), spreads), { expectedCardCount: 3 });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+});
+
+test('reports card count, missing IDs, empty meanings and bad image IDs', async () => {
+  const rows = cardRows(4, {
+    1: ['1', 'カード1', 'オラクル', ''],
+    2: ['5', 'カード5', 'オラクル', '意味', 'bad id!']
+  });
+  const { errors } = await validateDataSet(dataSet(rows, spreads), { expectedCardCount: 78 });
+  assert.ok(errors.includes('card count is 4, expected 78'));
+  assert.ok(errors.includes('missing card IDs: 2, 4'));
+  assert.ok(errors.includes('card 1 (カード1): meaning is empty'));
+  assert.ok(errors.includes('card 5 (カード5): invalid image ID "bad id!"'));
+});
+
+test('reports spreads with more positions than cards and missing local images', async () => {
+  const rows = cardRows(2, { 0: ['0', 'カード0', 'オラクル', '意味', 'fool.png'] });
+  const { errors } = await validateDataSet(dataSet(rows, spreads), { expectedCardCount: 0, findLocalFile: async () => null });
+  assert.ok(errors.includes('spread three: 3 positions but only 2 cards'));
+  assert.ok(errors.includes('card 0 (カード0): image file "fool.png" not found'));
+});
+
+test('deck pack reports are prefixed with the pack key', async () => {
+  const { entries } = parseDeckRows([['mini', 'ミニ', 'Mini', 'MiniCards', 'なし', 'three, celt', '2']]);
+  const pack = createSheetPack(entries[0], parseCardRows(cardRows(2)));
+  const { errors, warnings } = await validateDeckPack(pack, spreads);
+  assert.deepEqual(errors, ['[mini] spread three: 3 positions but only 2 cards']);
+  assert.deepEqual(warnings, ['[mini] unknown spread "celt"']);
+});
+
+test('invalid Decks sheet values are reported by the pack, not the whole sheet', async () => {
+  const { entries, errors } = parseDeckRows([['mini', 'ミニ', '', 'MiniCards', '', '', 'many']]);
+  assert.deepEqual(errors, []);
+  const pack = createSheetPack(entries[0], parseCardRows(cardRows(2)));
+  const result = await validateDeckPack(pack, spreads);
+  assert.deepEqual(result.errors, ['[mini] invalid card count "NaN"']);
+});
+
+test('the report lists deck packs that were not loaded', () => {
+  const text = formatReloadReport({ applied: true, cards: 78, spreads: 5, decks: 1, errors: [], deckErrors: ['[mini] no cards loaded'], warnings: [] }, 'en');
+  assert.match(text, /Errors in deck packs that were not loaded \(1\)/);
+  assert.match(text, /\[mini\] no cards loaded/);
+});
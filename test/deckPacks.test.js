@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCsv, loadPacksFromDirectory, isSpreadCompatible, applyPackRules, getPackName } = require('../lib/deckPacks');
+
+test('parseCsv handles quotes, commas, newlines and a BOM', () => {
+  const text = '\uFEFFid,name,meaning\r\n1,"Rider, the","a ""quick""\nmessage"\n\n2,Clover,luck';
+  assert.deepEqual(parseCsv(text), [
+    ['id', 'name', 'meaning'],
+    ['1', 'Rider, the', 'a "quick"\nmessage'],
+    ['2', 'Clover', 'luck']
+  ]);
+});
+
+test('loads deck directories and reports broken ones without dropping the others', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decks-'));
+  fs.mkdirSync(path.join(dir, 'mini'));
+  fs.writeFileSync(path.join(dir, 'mini', 'deck.json'), JSON.stringify({ name: 'ミニ', reversals: false, spreads: ['single'], cardCount: 2 }));
+  fs.writeFileSync(path.join(dir, 'mini', 'cards.csv'), 'ID,名前,種類,意味\n1,騎士,ミニ,知らせ\n2,クローバー,ミニ,幸運\n');
+  fs.mkdirSync(path.join(dir, 'broken'));
+  fs.writeFileSync(path.join(dir, 'broken', 'deck.json'), '{}');
+  fs.mkdirSync(path.join(dir, 'tarot'));
+  fs.writeFileSync(path.join(dir, 'tarot', 'deck.json'), '{}');
+
+  const { packs, errors } = loadPacksFromDirectory(dir);
+  assert.deepEqual(packs.map(pack => pack.key), ['mini']);
+  assert.equal(packs[0].cards.length, 2);
+  assert.equal(packs[0].cards[0].pack, 'mini');
+  assert.equal(packs[0].cards[0].suit, null);
+  assert.equal(errors.length, 2);
+  assert.ok(errors.some(error => error.startsWith('[broken] failed to read deck')));
+  assert.ok(errors.some(error => error.startsWith('[tarot] invalid deck directory name')));
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('bundled example packs load', () => {
+  const { packs, errors } = loadPacksFromDirectory();
+  assert.deepEqual(errors, []);
+  const lenormand = packs.find(pack => pack.key === 'lenormand');
+  assert.equal(lenormand.cards.length, lenormand.cardCount);
+  assert.equal(lenormand.reversals, false);
+});
+
+test('pack rules limit spreads and options', () => {
+  const pack = { key: 'mini', name: 'ミニ', translations: { en: { name: 'Mini' } }, tarot: false, reversals: false, spreads: ['single'] };
+  assert.equal(isSpreadCompatible(pack, { key: 'single' }), true);
+  assert.equal(isSpreadCompatible(pack, { key: 'celt' }), false);
+  assert.equal(isSpreadCompatible(pack, { key: 'mine', custom: true }), true);
+  assert.deepEqual(applyPackRules({ deck: 'majors', suits: ['cups'], reversals: true }, pack), { deck: 'all', suits: [], reversals: false });
+  assert.equal(getPackName(pack, 'en'), 'Mini');
+  assert.equal(getPackName(pack, 'ja'), 'ミニ');
+});
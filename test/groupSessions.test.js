@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GroupSessionStore, joinSession, currentTurn, drawNext, skipTurn, isFinished } = require('../lib/groupSessions');
+
+function startSession(cardCount) {
+  const store = new GroupSessionStore();
+  const reading = { results: Array.from({ length: cardCount }, () => ({})) };
+  const session = store.start('channel', { reading, hostId: 'host', hostName: 'Host', locale: 'ja' });
+  return { store, session };
+}
+
+// 順番の人が引いて、引いた人の順を返す
+function drawAll(session, count) {
+  const order = [];
+  for (let i = 0; i < count; i++) {
+    const userId = currentTurn(session);
+    drawNext(session, userId);
+    order.push(userId);
+  }
+  return order;
+}
+
+test('turns go round in join order', () => {
+  const { store, session } = startSession(5);
+  joinSession(session, 'a', 'A');
+  joinSession(session, 'b', 'B');
+  assert.deepEqual(drawAll(session, 5), ['host', 'a', 'b', 'host', 'a']);
+  assert.equal(isFinished(session), true);
+  store.end('channel');
+});
+
+test('a member who joins after the host drew alone goes before the host', () => {
+  const { store, session } = startSession(4);
+  assert.deepEqual(drawAll(session, 1), ['host']);
+  joinSession(session, 'a', 'A');
+  joinSession(session, 'b', 'B');
+  assert.deepEqual(drawAll(session, 3), ['a', 'b', 'host']);
+  store.end('channel');
+});
+
+test('skipping passes the turn without drawing', () => {
+  const { store, session } = startSession(2);
+  joinSession(session, 'a', 'A');
+  skipTurn(session);
+  assert.equal(currentTurn(session), 'a');
+  assert.equal(session.drawn, 0);
+  store.end('channel');
+});
+
+test('members cannot join twice', () => {
+  const { store, session } = startSession(1);
+  assert.equal(joinSession(session, 'host', 'Host'), false);
+  assert.equal(joinSession(session, 'a', 'A'), true);
+  assert.equal(joinSession(session, 'a', 'A'), false);
+  store.end('channel');
+});
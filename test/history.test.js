@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHistoryArgs, paginate, toCsv } = require('../lib/history');
+
+test('parses page, spread, dates and keyword', () => {
+  const { query, errors } = parseHistoryArgs(
+    ['page', '2', 'spread', 'celt', 'from', '2024-01-01', 'to', '2024-01-31', 'search', '仕事', 'の', '相談'],
+    'Asia/Tokyo'
+  );
+  assert.deepEqual(errors, []);
+  assert.equal(query.page, 2);
+  assert.equal(query.filter.spread, 'celt');
+  // 日本時間の0時（UTCの前日15時）から、終わりの日の翌日0時まで
+  assert.equal(query.filter.since.toISOString(), '2023-12-31T15:00:00.000Z');
+  assert.equal(query.filter.until.toISOString(), '2024-01-31T15:00:00.000Z');
+  assert.equal(query.filter.keyword, '仕事 の 相談');
+});
+
+test('reports invalid pages, dates and unknown conditions in the given language', () => {
+  const { query, errors } = parseHistoryArgs(['page', '0', 'from', '2024/01/01', 'color', 'red'], 'UTC', 'en');
+  assert.equal(query.page, 1);
+  assert.equal(errors.length, 4);
+  assert.ok(errors.every(error => /^[\x20-\x7e]+$/.test(error)));
+});
+
+test('paginates and keeps the last page when the page is too large', () => {
+  const records = Array.from({ length: 12 }, (_, index) => index);
+  assert.deepEqual(paginate(records, 2, 5).items, [5, 6, 7, 8, 9]);
+  const last = paginate(records, 9, 5);
+  assert.equal(last.page, 3);
+  assert.deepEqual(last.items, [10, 11]);
+});
+
+test('exports CSV with quoted cells', () => {
+  const csv = toCsv([{
+    id: 'a',
+    timestamp: '2024-01-01T00:00:00Z',
+    spread: 'single',
+    question: 'say "hi", please',
+    results: [{ position: '現在', cardName: '愚者', orientation: '正位置' }]
+  }], () => 'ワンオラクル');
+  assert.ok(csv.startsWith('\uFEFFid,'));
+  assert.match(csv, /"say ""hi"", please"/);
+});
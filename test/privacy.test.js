@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hashUserId, isHashedUserId, isStorageDisabled, redactReading } = require('../lib/privacy');
+const { getShareUrl } = require('../lib/sharePage');
+
+test('hashes user IDs with the salt', () => {
+  const hashed = hashUserId('123456789', 'salt');
+  assert.match(hashed, /^h:[0-9a-f]{32}$/);
+  assert.equal(hashUserId('123456789', 'salt'), hashed);
+  assert.notEqual(hashUserId('123456789', 'other salt'), hashed);
+  assert.notEqual(hashUserId('987654321', 'salt'), hashed);
+});
+
+test('tells hashed IDs from Discord IDs', () => {
+  assert.equal(isHashedUserId(hashUserId('1', 'salt')), true);
+  assert.equal(isHashedUserId('123456789'), false);
+  assert.equal(isHashedUserId(null), false);
+});
+
+test('storage is only disabled when the user turned it off', () => {
+  assert.equal(isStorageDisabled({}), false);
+  assert.equal(isStorageDisabled({ storeReadings: true }), false);
+  assert.equal(isStorageDisabled({ storeReadings: false }), true);
+});
+
+test('redacted readings hide the question, journal and share link', () => {
+  const reading = {
+    id: 'abc123',
+    question: '転職するべき？',
+    notes: [{ text: 'メモ' }],
+    outcome: { text: '結果' },
+    visibility: 'public',
+    results: []
+  };
+  const redacted = redactReading(reading, 'en');
+  assert.notEqual(redacted.question, reading.question);
+  assert.equal(redacted.notes, undefined);
+  assert.equal(redacted.outcome, undefined);
+  assert.equal(redacted.id, 'abc123');
+  assert.equal(getShareUrl('https://tarot.example.com', reading), 'https://tarot.example.com/r/abc123');
+  assert.equal(getShareUrl('https://tarot.example.com', redacted), null);
+});
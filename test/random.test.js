@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRng, createSeed, createReadingId } = require('../lib/random');
+
+function draw(seed, count) {
+  const rng = createRng(seed);
+  return Array.from({ length: count }, () => rng());
+}
+
+test('the same seed gives the same draw', () => {
+  assert.deepEqual(draw('abc123', 10), draw('abc123', 10));
+  assert.notDeepEqual(draw('abc123', 10), draw('abc124', 10));
+});
+
+test('seeded values stay between 0 and 1 like Math.random', () => {
+  draw('range', 1000).forEach(value => {
+    assert.ok(value >= 0 && value < 1);
+  });
+});
+
+test('seeds and reading IDs use their own formats', () => {
+  assert.match(createSeed(), /^[0-9a-f]{8}$/);
+  assert.match(createReadingId(), /^[0-9a-hjkmnp-tv-z]{8}$/);
+});
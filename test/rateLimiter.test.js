@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter } = require('../lib/rateLimiter');
+
+test('allows up to the limit within the window', () => {
+  const limiter = new RateLimiter({ windowMs: 60000 });
+  const checks = [{ key: 'user:1', limit: 2 }];
+  assert.deepEqual(limiter.consume(checks, 0), { allowed: true });
+  assert.deepEqual(limiter.consume(checks, 1000), { allowed: true });
+  assert.deepEqual(limiter.consume(checks, 2000), { allowed: false, retryAfterSeconds: 58 });
+  // 最初の記録が窓から外れたらまた使える
+  assert.deepEqual(limiter.consume(checks, 60001), { allowed: true });
+});
+
+test('a blocked check does not record the other keys', () => {
+  const limiter = new RateLimiter({ windowMs: 60000 });
+  limiter.consume([{ key: 'guild:1', limit: 1 }], 0);
+  const result = limiter.consume([{ key: 'user:1', limit: 5 }, { key: 'guild:1', limit: 1 }], 1000);
+  assert.equal(result.allowed, false);
+  assert.equal(limiter.recent('user:1', 1000).length, 0);
+});
+
+test('a limit of 0 means no limit', () => {
+  const limiter = new RateLimiter();
+  for (let i = 0; i < 100; i++) {
+    assert.equal(limiter.consume([{ key: 'user:1', limit: 0 }], i).allowed, true);
+  }
+  assert.equal(limiter.hits.size, 0);
+});
+
+test('sweep drops expired keys', () => {
+  const limiter = new RateLimiter({ windowMs: 1000 });
+  limiter.consume([{ key: 'user:1', limit: 1 }], 0);
+  limiter.sweep(500);
+  assert.equal(limiter.hits.size, 1);
+  limiter.sweep(1500);
+  assert.equal(limiter.hits.size, 0);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createShareRouter } = require('../lib/sharePage');
+
+// 共有ページのルーターを一時的なポートで動かす
+async function withShareServer(tarotBot, callback) {
+  const app = express();
+  app.use('/r', createShareRouter({ tarotBot }));
+  const server = app.listen(0);
+  try {
+    await callback(`http://127.0.0.1:${server.address().port}/r`);
+  } finally {
+    server.close();
+  }
+}
+
+function createFakeBot(readings) {
+  const bot = {
+    renders: [],
+    localeLookups: [],
+    getReading: async id => readings.find(reading => reading.id === id) || null,
+    getLocale: context => {
+      bot.localeLookups.push(context);
+      return 'ja';
+    },
+    getTheme: () => ({ key: 'classic' }),
+    generateSpreadImage: async (reading, locale) => {
+      bot.renders.push({ id: reading.id, locale });
+      return Buffer.from('png');
+    }
+  };
+  return bot;
+}
+
+test('renders each shared image once per reading and language', async () => {
+  const bot = createFakeBot([{ id: 'abc', userId: '1', guildId: 'g', visibility: 'unlisted', results: [] }]);
+  await withShareServer(bot, async base => {
+    const responses = await Promise.all([fetch(`${base}/abc/image.png`), fetch(`${base}/abc/image.png`)]);
+    assert.deepEqual(responses.map(response => response.status), [200, 200]);
+    assert.equal((await fetch(`${base}/abc/image.png?locale=en`)).status, 200);
+    assert.equal((await fetch(`${base}/abc/image.png`)).status, 200);
+  });
+  assert.deepEqual(bot.renders, [{ id: 'abc', locale: 'ja' }, { id: 'abc', locale: 'en' }]);
+});
+
+test('uses the stored language and never looks up settings by a hashed user ID', async () => {
+  const bot = createFakeBot([
+    { id: 'stored', userId: 'h:0123', guildId: 'g', visibility: 'public', locale: 'en', results: [] },
+    { id: 'hashed', userId: 'h:0123', guildId: 'g', visibility: 'public', results: [] }
+  ]);
+  await withShareServer(bot, async base => {
+    await fetch(`${base}/stored/image.png`);
+    await fetch(`${base}/hashed/image.png`);
+  });
+  assert.deepEqual(bot.renders, [{ id: 'stored', locale: 'en' }, { id: 'hashed', locale: 'ja' }]);
+  assert.deepEqual(bot.localeLookups, [{ userId: null, guildId: 'g' }]);
+});
+
+test('does not serve private readings', async () => {
+  const bot = createFakeBot([{ id: 'secret', userId: '1', visibility: 'private', results: [] }]);
+  await withShareServer(bot, async base => {
+    assert.equal((await fetch(`${base}/secret/image.png`)).status, 404);
+  });
+  assert.deepEqual(bot.renders, []);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSpreadRegistry, findSpread, localizeSpread } = require('../lib/spreadRegistry');
+
+test('findSpread ignores names inherited from Object.prototype', () => {
+  const registry = buildSpreadRegistry([['one', '現在'], ['three', '過去', '現在', '未来']]);
+  assert.equal(findSpread(registry, 'three').positions.length, 3);
+  assert.equal(findSpread(registry, 'constructor'), null);
+  assert.equal(findSpread(registry, 'toString'), null);
+  assert.equal(findSpread(registry, undefined), null);
+});
+
+test('buildSpreadRegistry uses defaults only for the spread itself', () => {
+  const registry = buildSpreadRegistry([['constructor', 'A'], ['one', '現在']], {}, { en: {} });
+  assert.equal(registry.constructor.name, 'constructor');
+  assert.equal(registry.constructor.help, 'constructor (1枚)');
+  assert.deepEqual(Object.keys(registry.constructor.translations), []);
+  assert.equal(registry.one.translations.en.name, 'One Card');
+});
+
+test('help falls back to the catalog text in each language', () => {
+  const registry = buildSpreadRegistry([['week', '月', '火', '水']], {}, { en: { week: { name: 'Week' } } });
+  assert.equal(registry.week.help, 'week (3枚)');
+  assert.equal(localizeSpread(registry.week, 'en').help, 'Week (3 cards)');
+});
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileReadingStore } = require('../lib/storage/fileReadingStore');
+const { SheetsReadingStore } = require('../lib/storage/sheetsReadingStore');
+const { formatResultText, parseResultText, matchesFilter } = require('../lib/storage/records');
+
+function record(id, userId, timestamp, extra = {}) {
+  return {
+    id,
+    userId,
+    timestamp,
+    question: `question ${id}`,
+    spread: 'single',
+    results: [{ position: '現在', cardId: 'fool', cardName: '愚者', orientation: '正位置' }],
+    ...extra
+  };
+}
+
+// values.get・append・update・batchGet・batchUpdate だけを持つSheets APIの代わり
+function fakeSheets(rows) {
+  const calls = { fullReads: 0 };
+  const sheets = {
+    spreadsheets: {
+      values: {
+        get: async ({ range }) => {
+          if (range === 'Readings!A:F') {
+            calls.fullReads++;
+            await new Promise(resolve => setImmediate(resolve));
+            return { data: { values: rows.map(row => [...row]) } };
+          }
+          const rowNumber = Number(range.match(/(\d+)$/)[1]);
+          const row = rows[rowNumber - 1];
+          return { data: { values: row ? [[row[5]]] : [] } };
+        },
+        batchGet: async ({ ranges }) => ({
+          data: {
+            valueRanges: ranges.map(range => {
+              const row = rows[Number(range.match(/(\d+)$/)[1]) - 1];
+              return { values: row ? [[row[1]]] : [] };
+            })
+          }
+        }),
+        append: async ({ resource }) => {
+          rows.push(...resource.values);
+          return { data: { updates: { updatedRange: `Readings!A${rows.length}:F${rows.length}` } } };
+        },
+        update: async ({ range, resource }) => {
+          rows[Number(range.match(/A(\d+):/)[1]) - 1] = resource.values[0];
+          return { data: {} };
+        }
+      },
+      get: async () => ({ data: { sheets: [{ properties: { sheetId: 7, title: 'Readings' } }] } }),
+      batchUpdate: async ({ resource }) => {
+        resource.requests.forEach(request => rows.splice(request.deleteDimension.range.startIndex, 1));
+        return { data: {} };
+      }
+    }
+  };
+  return { sheets, calls };
+}
+
+test('FileReadingStore saves, updates and deletes records', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'readings-'));
+  const filePath = path.join(dir, 'readings.jsonl');
+  const store = new FileReadingStore({ filePath });
+
+  await store.save(record('a', 'u1', '2024-01-01T00:00:00Z'));
+  await store.save(record('b', 'u1', '2024-01-02T00:00:00Z'));
+  await store.save(record('c', 'u2', '2024-01-03T00:00:00Z'));
+  await store.update('a', target => {
+    target.note = 'memo';
+  });
+
+  // 読み直しても同じ内容（更新は後の行が優先）
+  const reloaded = new FileReadingStore({ filePath });
+  assert.deepEqual((await reloaded.getHistory('u1', 10)).map(r => r.id), ['b', 'a']);
+  assert.equal((await reloaded.getById('a')).note, 'memo');
+
+  assert.equal(await reloaded.deleteByUser('u1'), 2);
+  assert.equal(await reloaded.getById('a'), null);
+  assert.deepEqual((await new FileReadingStore({ filePath }).find()).map(r => r.id), ['c']);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('FileReadingStore keeps the index unchanged when an update cannot be written', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'readings-'));
+  const store = new FileReadingStore({ filePath: path.join(dir, 'readings.jsonl') });
+  await store.save(record('a', 'u1', '2024-01-01T00:00:00Z'));
+
+  store.enqueueWrite = async () => {
+    throw new Error('disk full');
+  };
+  await assert.rejects(store.update('a', target => {
+    target.note = 'memo';
+  }), /disk full/);
+  assert.equal((await store.getById('a')).note, undefined);
+  assert.equal((await store.getHistory('u1', 1))[0].note, undefined);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('FileReadingStore uses the last line of a record in its original order', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'readings-'));
+  const filePath = path.join(dir, 'readings.jsonl');
+  const lines = [
+    record('a', 'u1', '2024-01-01T00:00:00Z'),
+    record('b', 'u1', '2024-01-01T00:00:00Z'),
+    record('a', 'u1', '2024-01-01T00:00:00Z', { note: 'memo' })
+  ];
+  fs.writeFileSync(filePath, lines.map(line => JSON.stringify(line) + '\n').join(''));
+
+  const history = await new FileReadingStore({ filePath }).getHistory('u1', 10);
+  assert.deepEqual(history.map(r => [r.id, r.note]), [['a', 'memo'], ['b', undefined]]);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('SheetsReadingStore shares one sheet download between concurrent callers', async () => {
+  const { sheets, calls } = fakeSheets([
+    ['timestamp', 'userId', 'question', 'spread', 'results', 'record'],
+    ['2024-01-01T00:00:00Z', 'u1', 'q', 'single', '現在:愚者(正位置)', '']
+  ]);
+  const store = new SheetsReadingStore({ sheets, spreadsheetId: 'sheet' });
+
+  const [history, found] = await Promise.all([store.getHistory('u1', 5), store.find({ userId: 'u1' })]);
+  assert.equal(history.length, 1);
+  assert.equal(found.length, 1);
+  assert.equal(calls.fullReads, 1);
+  // F列のない旧形式の行は結果の文字列から戻す
+  assert.equal(history[0].results[0].cardName, '愚者');
+});
+
+test('SheetsReadingStore keeps its index up to date without rereading the sheet', async () => {
+  const rows = [['timestamp', 'userId', 'question', 'spread', 'results', 'record']];
+  const { sheets, calls } = fakeSheets(rows);
+  const store = new SheetsReadingStore({ sheets, spreadsheetId: 'sheet' });
+
+  await store.save(record('a', 'u1', '2024-01-01T00:00:00Z'));
+  await store.save(record('b', 'u2', '2024-01-02T00:00:00Z'));
+  await store.save(record('c', 'u1', '2024-01-03T00:00:00Z'));
+  await store.update('c', target => {
+    target.note = 'memo';
+  });
+  assert.equal(JSON.parse(rows[3][5]).note, 'memo');
+
+  assert.equal(await store.deleteByUser('u1'), 2);
+  assert.equal(rows.length, 2);
+  await store.update('b', target => {
+    target.outcome = 'ok';
+  });
+  assert.equal(JSON.parse(rows[1][5]).outcome, 'ok');
+  assert.equal(calls.fullReads, 1);
+});
+
+test('SheetsReadingStore rereads the sheet when rows were moved by hand', async () => {
+  const rows = [['timestamp', 'userId', 'question', 'spread', 'results', 'record']];
+  const { sheets, calls } = fakeSheets(rows);
+  const store = new SheetsReadingStore({ sheets, spreadsheetId: 'sheet' });
+
+  await store.save(record('a', 'u1', '2024-01-01T00:00:00Z'));
+  rows.splice(1, 0, ['2023-12-31T00:00:00Z', 'u9', 'q', 'single', '', '']);
+  await store.update('a', target => {
+    target.note = 'memo';
+  });
+  assert.equal(JSON.parse(rows[2][5]).note, 'memo');
+  assert.equal(rows[1][1], 'u9');
+  assert.equal(calls.fullReads, 2);
+});
+
+test('records round-trip the legacy result text and filter by keyword', () => {
+  const results = [{ position: '過去', cardName: '塔', orientation: '逆位置' }];
+  assert.deepEqual(parseResultText(formatResultText(results)), [
+    { position: '過去', cardId: null, cardName: '塔', orientation: '逆位置' }
+  ]);
+  assert.equal(matchesFilter(record('a', 'u1', '2024-01-01T00:00:00Z'), { keyword: 'QUESTION' }), true);
+  assert.equal(matchesFilter(record('a', 'u1', '2024-01-01T00:00:00Z'), { since: new Date('2024-02-01') }), false);
+});